@@ -2,33 +2,436 @@
 // Project: dynamic-datalist
 // Definitions by: Aaron Gustafson
 
+/**
+ * An option as returned by the endpoint. Strings are used as both the
+ * value and the label.
+ */
+export interface DynamicDatalistOption {
+	/**
+	 * The value placed in the input when the option is chosen.
+	 */
+	value: string;
+	/**
+	 * The text shown for the option (defaults to the value).
+	 */
+	label?: string;
+	/**
+	 * An optional group name for the option.
+	 */
+	group?: string;
+	/**
+	 * Any additional data associated with the option.
+	 */
+	data?: any;
+	[key: string]: any;
+}
+
+/**
+ * A normalized option record, as kept by the component.
+ */
+export interface DynamicDatalistOptionRecord extends DynamicDatalistOption {
+	label: string;
+}
+
 export interface DynamicDatalistReadyDetail {
-	input: HTMLInputElement;
+	/**
+	 * The wrapped field: an input, a textarea or a contenteditable element.
+	 */
+	input: HTMLInputElement | HTMLTextAreaElement | HTMLElement;
 	datalist: HTMLDataListElement;
 }
 
 export interface DynamicDatalistUpdateDetail
 	extends DynamicDatalistReadyDetail {
-	options: string[];
+	options: Array<string | DynamicDatalistOption>;
+	records: DynamicDatalistOptionRecord[];
+	/**
+	 * Options that were not in the list before this update.
+	 */
+	added?: DynamicDatalistOptionRecord[];
+	/**
+	 * Options that this update took out of the list.
+	 */
+	removed?: DynamicDatalistOptionRecord[];
+	/**
+	 * True when the options were served from the cache.
+	 */
+	cached?: boolean;
 }
 
 export interface DynamicDatalistErrorDetail extends DynamicDatalistReadyDetail {
 	error: any;
+	/**
+	 * The HTTP status, if the endpoint responded with an error.
+	 */
+	status?: number;
+	/**
+	 * How many attempts were made, including retries.
+	 */
+	attempt: number;
+	query: string;
+}
+
+export interface DynamicDatalistAbortDetail extends DynamicDatalistReadyDetail {
+	query: string;
+}
+
+export interface DynamicDatalistClearDetail extends DynamicDatalistReadyDetail {
+	query: string;
+}
+
+export interface DynamicDatalistLoadingDetail
+	extends DynamicDatalistReadyDetail {
+	query: string;
+}
+
+export interface DynamicDatalistEmptyDetail extends DynamicDatalistReadyDetail {
+	query: string;
+}
+
+export interface DynamicDatalistChipDetail extends DynamicDatalistReadyDetail {
+	value: string;
+	label: string;
+	option: DynamicDatalistOptionRecord;
+}
+
+export type DynamicDatalistState =
+	| 'idle'
+	| 'loading'
+	| 'loaded'
+	| 'empty'
+	| 'error';
+
+/**
+ * The request passed to `beforeRequest`.
+ */
+export interface DynamicDatalistRequest {
+	url: string;
+	init: RequestInit;
+	query: string;
+}
+
+/**
+ * A function that resolves to the options for a query.
+ */
+export type DynamicDatalistProvider = (
+	query: string,
+	context: { signal: AbortSignal; element: DynamicDatalistElement },
+) =>
+	| Array<string | DynamicDatalistOption>
+	| Promise<Array<string | DynamicDatalistOption>>;
+
+/**
+ * A live region message: a string with `{count}`, `{query}` or `{error}`
+ * placeholders, or a function returning the text.
+ */
+export type DynamicDatalistMessage =
+	| string
+	| ((values: {
+			count?: number;
+			query?: string;
+			error?: string;
+			label?: string;
+	  }) => string);
+
+export interface DynamicDatalistMessages {
+	loading?: DynamicDatalistMessage;
+	result?: DynamicDatalistMessage;
+	results?: DynamicDatalistMessage;
+	empty?: DynamicDatalistMessage;
+	error?: DynamicDatalistMessage;
+	/**
+	 * Accessible name of a chip’s remove button (`{label}`).
+	 */
+	remove?: DynamicDatalistMessage;
+}
+
+export interface DynamicDatalistSelectDetail
+	extends DynamicDatalistReadyDetail {
+	value: string;
+	label: string;
+	data?: any;
+	option: DynamicDatalistOptionRecord;
 }
 
 export class DynamicDatalistElement extends HTMLElement {
+	static formAssociated: true;
+
 	/**
 	 * The endpoint URL for fetching datalist options.
 	 */
 	endpoint: string;
 	/**
-	 * The HTTP method for the request (get or post).
+	 * The HTTP method for the request (get, post, put or patch).
 	 */
 	method: string;
+	/**
+	 * How request bodies are encoded for non-GET methods (json or form).
+	 */
+	enctype: 'json' | 'form' | string;
 	/**
 	 * The variable name for the query value in the request.
 	 */
 	key: string;
+	/**
+	 * Dot path or JSON pointer to the options array in the response.
+	 */
+	optionsPath: string;
+	/**
+	 * Optional function that maps the JSON response to the options array.
+	 * If it returns an object, `optionsPath` is resolved against it.
+	 */
+	transformResponse:
+		| ((
+				json: any,
+				query: string,
+		  ) => Array<string | DynamicDatalistOption> | object)
+		| null;
+
+	/**
+	 * How long responses are cached, in milliseconds (0 disables caching).
+	 */
+	cacheTtl: number;
+	/**
+	 * Maximum number of cached responses per endpoint.
+	 */
+	cacheSize: number;
+	/**
+	 * Whether longer queries may be answered by filtering cached results.
+	 */
+	cacheNarrow: boolean;
+
+	/**
+	 * URL of a JSON file to filter locally when there is no endpoint.
+	 */
+	src: string | null;
+	/**
+	 * Items to filter locally when there is no endpoint.
+	 */
+	items: Array<string | DynamicDatalistOption> | null;
+	/**
+	 * Where options come from: a provider function or the name of a
+	 * registered provider.
+	 */
+	provider: DynamicDatalistProvider | string | null;
+	/**
+	 * Whether the value must be one of the suggested options.
+	 */
+	strict: boolean;
+	/**
+	 * Validation message used in strict mode.
+	 */
+	strictMessage: string;
+	/**
+	 * Whether unknown values are re-checked against the provider in strict
+	 * mode.
+	 */
+	strictVerify: boolean;
+	/**
+	 * Whether a value is required for the element to be valid.
+	 */
+	required: boolean;
+	/**
+	 * How suggestions are shown: the native datalist or the component’s own
+	 * listbox popup.
+	 */
+	render: 'datalist' | 'listbox' | string;
+	/**
+	 * Live region messages; these take precedence over the `message-*`
+	 * attributes.
+	 */
+	messages: DynamicDatalistMessages | null;
+	/**
+	 * The request state, reflected to the `state` attribute.
+	 */
+	readonly state: DynamicDatalistState;
+	/**
+	 * The form the element is associated with.
+	 */
+	readonly form: HTMLFormElement | null;
+	/**
+	 * The element’s validity, mirroring the wrapped input.
+	 */
+	readonly validity: ValidityState | undefined;
+	readonly validationMessage: string;
+	readonly willValidate: boolean;
+	checkValidity(): boolean;
+	reportValidity(): boolean;
+	formResetCallback(): void;
+	formStateRestoreCallback(state: string | null): void;
+	/**
+	 * Name of a hidden field that receives the picked option’s value while
+	 * the visible input shows its label.
+	 */
+	valueName: string | null;
+	/**
+	 * How local items are matched against the query.
+	 */
+	match: 'prefix' | 'substring' | 'word-start' | string;
+	/**
+	 * Maximum number of local matches to show (0 means no limit).
+	 */
+	maxResults: number;
+	/**
+	 * Static parameters sent with every request, in query-string or JSON
+	 * syntax. Setting an object stores it as JSON.
+	 */
+	params: string | null;
+	/**
+	 * Comma-separated names or selectors of form controls whose values are
+	 * sent with every request.
+	 */
+	includeFields: string | null;
+	/**
+	 * Whether a change to an included field clears and re-fetches the list.
+	 */
+	refetchOnChange: boolean;
+	/**
+	 * Credentials mode for the request.
+	 */
+	credentials: RequestCredentials | null;
+	/**
+	 * Extra request headers, or a function returning them for a query.
+	 */
+	headers:
+		| Record<string, string>
+		| Headers
+		| ((query: string) => Record<string, string> | Headers)
+		| null;
+	/**
+	 * Called before each request. It may modify the request in place or
+	 * return (or resolve to) a replacement.
+	 */
+	beforeRequest:
+		| ((
+				request: DynamicDatalistRequest,
+		  ) =>
+				| DynamicDatalistRequest
+				| void
+				| Promise<DynamicDatalistRequest | void>)
+		| null;
+
+	/**
+	 * Minimum query length before options are fetched.
+	 */
+	minLength: number;
+	/**
+	 * Delay (debounce) or interval (throttle) for fetching, in milliseconds.
+	 */
+	debounce: number;
+	/**
+	 * How fetches are rate-limited while typing.
+	 */
+	strategy: 'debounce' | 'throttle' | string;
+	/**
+	 * Whether to clear the datalist when the query drops below minLength.
+	 */
+	clearBelowMin: boolean;
+	/**
+	 * How many times a failed request is retried.
+	 */
+	retries: number;
+	/**
+	 * Delay before the first retry, in milliseconds. Doubles for each
+	 * further retry.
+	 */
+	retryDelay: number;
+	/**
+	 * How results combine with the options already in the list.
+	 */
+	merge:
+		| 'replace'
+		| 'prepend-initial'
+		| 'append-initial'
+		| 'accumulate'
+		| string;
+	/**
+	 * Maximum number of options kept when results accumulate.
+	 */
+	mergeLimit: number;
+	/**
+	 * Whether only the token under the caret is looked up and replaced.
+	 */
+	tokenize: boolean;
+	/**
+	 * What separates tokens in tokenize mode.
+	 */
+	separator: string;
+	/**
+	 * Whether picked options are collected as chips.
+	 */
+	multiple: boolean;
+	/**
+	 * How chips are submitted: one field each, or one joined field.
+	 */
+	serialize: 'repeat' | 'join' | string;
+	/**
+	 * The chip values, in multiple mode.
+	 */
+	readonly values: string[];
+	/**
+	 * Option field (or dot path) holding each option’s group.
+	 */
+	groupBy: string | null;
+	/**
+	 * Comma-separated group names to show first, in order.
+	 */
+	groupOrder: string | null;
+	/**
+	 * Maximum number of options per group (0 means no limit).
+	 */
+	groupLimit: number;
+	/**
+	 * Whether the matched text of each suggestion is wrapped in `<mark>`.
+	 * Turns on the listbox popup.
+	 */
+	highlight: boolean;
+	/**
+	 * Builds the content of each listbox option. Strings are used as text.
+	 * Takes precedence over a `<template>` child.
+	 */
+	optionTemplate:
+		| ((
+				record: DynamicDatalistOptionRecord,
+				context: {
+					query: string;
+					highlight: (text: string) => DocumentFragment;
+				},
+		  ) => Node | string)
+		| null;
+
+	/**
+	 * Register a named provider for use via the `provider` attribute.
+	 */
+	static registerProvider(
+		name: string,
+		provider: DynamicDatalistProvider,
+	): void;
+
+	/**
+	 * Wrap each case-insensitive match of the query in the text in `<mark>`,
+	 * without parsing either as HTML.
+	 */
+	static highlightMatches(text: string, query: string): DocumentFragment;
+
+	/**
+	 * Clear cached responses for one endpoint, or for all endpoints.
+	 */
+	static clearCache(endpoint?: string): void;
+
+	/**
+	 * Look up the option record for a given value from the most recent update.
+	 */
+	getOption(value: string): DynamicDatalistOptionRecord | undefined;
+	/**
+	 * Look up suggestions for a query right away, skipping the debounce and
+	 * min-length. The input’s value is left alone.
+	 */
+	search(query: string): Promise<void>;
+	/**
+	 * Look up suggestions for the input’s current value right away.
+	 */
+	refresh(): Promise<void>;
 
 	addEventListener(
 		type: 'dynamic-datalist:ready',
@@ -45,6 +448,36 @@ export class DynamicDatalistElement extends HTMLElement {
 		listener: (event: CustomEvent<DynamicDatalistErrorDetail>) => void,
 		options?: boolean | AddEventListenerOptions,
 	): void;
+	addEventListener(
+		type: 'dynamic-datalist:abort',
+		listener: (event: CustomEvent<DynamicDatalistAbortDetail>) => void,
+		options?: boolean | AddEventListenerOptions,
+	): void;
+	addEventListener(
+		type: 'dynamic-datalist:clear',
+		listener: (event: CustomEvent<DynamicDatalistClearDetail>) => void,
+		options?: boolean | AddEventListenerOptions,
+	): void;
+	addEventListener(
+		type: 'dynamic-datalist:select',
+		listener: (event: CustomEvent<DynamicDatalistSelectDetail>) => void,
+		options?: boolean | AddEventListenerOptions,
+	): void;
+	addEventListener(
+		type: 'dynamic-datalist:loading',
+		listener: (event: CustomEvent<DynamicDatalistLoadingDetail>) => void,
+		options?: boolean | AddEventListenerOptions,
+	): void;
+	addEventListener(
+		type: 'dynamic-datalist:empty',
+		listener: (event: CustomEvent<DynamicDatalistEmptyDetail>) => void,
+		options?: boolean | AddEventListenerOptions,
+	): void;
+	addEventListener(
+		type: 'dynamic-datalist:add' | 'dynamic-datalist:remove',
+		listener: (event: CustomEvent<DynamicDatalistChipDetail>) => void,
+		options?: boolean | AddEventListenerOptions,
+	): void;
 	addEventListener(
 		type: string,
 		listener: EventListenerOrEventListenerObject,
@@ -9,7 +9,7 @@
  *  - endpoint attribute
  *    A URL to the JSON endpoint
  *  - method attribute
- *    post or get (default: get)
+ *    get, post, put or patch (default: get)
  *  - key attribute
  *    The variable name you want the value sent as (default: query)
  *
@@ -30,6 +30,16 @@
  * 	</dynamic-datalist>
  * 	<!-- GET: /foo/bar?my_custom_var=WHAT THE USER TYPED -->
  *
+ * 	<dynamic-datalist endpoint="/foo/{query}/suggestions">
+ * 		<input type="text" name="something"/>
+ * 	</dynamic-datalist>
+ * 	<!-- GET: /foo/WHAT%20THE%20USER%20TYPED/suggestions -->
+ *
+ * 	<dynamic-datalist endpoint="/foo/bar" method="post" enctype="form">
+ * 		<input type="text" name="something"/>
+ * 	</dynamic-datalist>
+ * 	<!-- POST: /foo/bar query=WHAT+THE+USER+TYPED -->
+ *
  * 	<dynamic-datalist endpoint="/foo/bar">
  * 		<input type="text" name="something" list="my-list"/>
  * 		<datalist id="my-list">
@@ -49,21 +59,349 @@
  * 		]
  * }
  *
+ * Options may also be objects. The `value` is used as the option value, the
+ * `label` (if provided) becomes the option text, and any other properties
+ * (e.g. `group` or `data`) are kept and can be read back via `getOption()`:
+ *
+ * {
+ * 		"options": [
+ * 			{ "value": "SEA", "label": "Seattle–Tacoma Intl", "data": { "id": 42 } }
+ * 		]
+ * }
+ *
+ * If your endpoint returns a different shape, point the component at the
+ * array using the `options-path` attribute (a dot path like `hits.hits` or a
+ * JSON pointer like `/data/items`) or set a `transformResponse(json, query)`
+ * function property that returns the options array.
+ *
+ * Responses can be cached in memory by setting `cache-ttl` (in milliseconds).
+ * Caches are shared by all instances using the same endpoint. With
+ * `cache-narrow`, a query that extends a cached query (e.g. "seat" after
+ * "sea") is answered by filtering the cached options instead of fetching.
+ *
+ * Requests can be customized with the `credentials` attribute, a `headers`
+ * property (an object or a function returning one) and a
+ * `beforeRequest({ url, init, query })` hook that may rewrite the request.
+ *
+ * Extra parameters can be sent with each request: static ones via `params`
+ * (`limit=10&locale=en` or JSON) and the current values of other form
+ * controls via `include-fields` (names or selectors, comma-separated).
+ *
+ * Without an endpoint, the component filters a local list instead: a
+ * `src` JSON file (fetched once), an inline `<script type="application/json">`
+ * child or an `items` array set from JavaScript.
+ *
+ * 	<dynamic-datalist src="/countries.json" match="word-start" max-results="10">
+ * 		<input type="text" name="country"/>
+ * 	</dynamic-datalist>
+ *
+ * Options can also come from any other source via a `provider` function
+ * property, `(query, { signal, element }) => Promise<options[]>`, or a
+ * `provider` attribute naming one registered with
+ * `DynamicDatalistElement.registerProvider(name, fn)`.
+ *
+ * With `strict`, the input is marked invalid (via `setCustomValidity()`)
+ * unless its value is one of the current or previously suggested options.
+ * Add `strict-verify` to re-check other values (e.g. pre-filled ones)
+ * against the provider on change and form submission.
+ *
+ * To submit an option’s value while showing its label, set `value-name`
+ * (or include an `<input type="hidden">`). Picking an option writes its
+ * value to the hidden field; editing the text clears it.
+ *
+ * 	<dynamic-datalist endpoint="/foo/bar" value-name="airport_id">
+ * 		<input type="text" name="airport"/>
+ * 	</dynamic-datalist>
+ *
+ * The element is form-associated: it reflects the input’s validity (plus
+ * its own `required`) to the form, restores its suggestions and selection
+ * on back/forward navigation and restores its authored options on reset.
+ *
+ * Set `render="listbox"` to show suggestions in the component’s own ARIA
+ * combobox popup instead of the browser’s datalist UI. Options come from
+ * the same pipeline; the popup is a `role="listbox"` element (class
+ * `dynamic-datalist-listbox`) for you to style.
+ *
+ * A visually hidden live region announces searches, result counts, empty
+ * results and errors to screen readers. Localize the messages with the
+ * `message-*` attributes or a `messages` property.
+ *
+ * The request state (idle, loading, loaded, empty or error) is reflected
+ * to a `state` attribute and, where supported, to custom states, so both
+ * `[state="loading"]` and `:state(loading)` can be used for styling. The
+ * input is marked `aria-busy` while loading.
+ *
+ * Failed requests can be retried with exponential backoff via `retries`
+ * and `retry-delay`. Only network errors and 408, 429 or 5xx responses to
+ * GET and PUT requests are retried. While the browser is offline,
+ * requests to the endpoint are paused and the latest query is sent once
+ * it is back online.
+ *
+ * By default each response replaces the datalist’s options. With `merge`,
+ * the authored options can be kept before (`prepend-initial`) or after
+ * (`append-initial`) the results, or results can `accumulate` across
+ * queries (up to `merge-limit`). Authored options are shown again
+ * whenever the input is emptied.
+ *
+ * With `tokenize`, only the token under the caret (split on `separator`,
+ * a comma by default) is looked up and picking an option replaces just
+ * that token, e.g. for tag or recipient fields. A wrapped `<textarea>`
+ * or `contenteditable` host works too; in the latter, the caret comes
+ * from the selection and the token is replaced through a range. All of
+ * these use the listbox popup, as none can be served by a native
+ * datalist.
+ *
+ * 	<dynamic-datalist endpoint="/api/people" tokenize>
+ * 		<textarea name="to"></textarea>
+ * 	</dynamic-datalist>
+ *
+ * With `multiple`, each picked option becomes a removable chip before the
+ * input and is left out of later suggestions. Chips are submitted as
+ * repeated hidden fields named after the input (or `value-name`), or as
+ * one field joined with `separator` when `serialize="join"`.
+ *
+ * Set `group-by` to the option field (or dot path) holding a group name
+ * to show options grouped: as a hint in each `<option>`’s label in the
+ * datalist, or under `role="group"` headings in the listbox popup. Order
+ * groups with `group-order` and cap each with `group-limit`.
+ *
+ * Add `highlight` to wrap the matched text of each suggestion in `<mark>`.
+ * For richer rows, add a `<template>` child; it is stamped for each
+ * option, and elements with a `data-field` attribute get that field’s
+ * text (`data-field-src="avatar"` and the like set attributes). An
+ * `optionTemplate(record, { query, highlight })` function property can
+ * build rows instead. Response text is only ever set as text, never as
+ * HTML. Marked-up rows need the listbox popup, so `highlight`, a
+ * template or `optionTemplate` turns it on.
+ *
+ * 	<dynamic-datalist endpoint="/api/people" highlight>
+ * 		<input type="text" name="person"/>
+ * 		<template>
+ * 			<img data-field-src="avatar" alt=""/>
+ * 			<span data-field="label"></span>
+ * 			<small data-field="email"></small>
+ * 		</template>
+ * 	</dynamic-datalist>
+ *
  * @element dynamic-datalist
  *
  * @attr {string} endpoint - URL to the JSON endpoint
- * @attr {string} method - HTTP method (get or post, default: get)
+ * @attr {string} method - HTTP method (get, post, put or patch, default: get)
+ * @attr {string} enctype - Body encoding for non-GET requests: json or form (default: json)
  * @attr {string} key - Variable name for the query value (default: query)
+ * @attr {string} options-path - Dot path or JSON pointer to the options array in the response (default: options)
+ * @attr {number} cache-ttl - How long responses are cached, in milliseconds (default: 0, no caching)
+ * @attr {number} cache-size - Maximum number of cached responses per endpoint (default: 50)
+ * @attr {boolean} cache-narrow - Answer longer queries by filtering cached results for a shorter one
+ * @attr {number} min-length - Minimum query length before fetching (default: 1)
+ * @attr {number} debounce - Delay between keystrokes and fetching, in milliseconds (default: 250)
+ * @attr {string} strategy - How fetches are rate-limited: debounce or throttle (default: debounce)
+ * @attr {boolean} clear-below-min - Clear the datalist when the query drops below min-length
+ * @attr {string} credentials - Credentials mode for the request: omit, same-origin or include
+ * @attr {string} params - Static parameters sent with every request (query-string or JSON syntax)
+ * @attr {string} include-fields - Comma-separated names or selectors of form controls whose values are sent with every request
+ * @attr {boolean} refetch-on-change - Clear and re-fetch the list when an included field changes
+ * @attr {string} src - URL of a JSON file to filter locally instead of querying an endpoint
+ * @attr {string} match - How local items are matched: prefix, substring or word-start (default: prefix)
+ * @attr {number} max-results - Maximum number of local matches to show (default: 0, no limit)
+ * @attr {string} provider - Name of a provider registered with DynamicDatalistElement.registerProvider()
+ * @attr {boolean} strict - Only allow values that are among the suggested options
+ * @attr {string} strict-message - Validation message for strict mode
+ * @attr {boolean} strict-verify - In strict mode, re-check unknown values against the provider on change and submit
+ * @attr {string} value-name - Name of a hidden field that receives the picked option’s value while the input shows its label
+ * @attr {boolean} required - Require a value for the element (and its form) to be valid
+ * @attr {string} render - How suggestions are shown: datalist or listbox (default: datalist)
+ * @attr {string} message-loading - Announced while searching (default: Searching…)
+ * @attr {string} message-result - Announced when there is one suggestion (default: 1 suggestion available)
+ * @attr {string} message-results - Announced when there are several suggestions; `{count}` is replaced (default: {count} suggestions available)
+ * @attr {string} message-empty - Announced when nothing matches (default: No matches)
+ * @attr {string} message-error - Announced when suggestions fail to load; `{error}` is replaced (default: Suggestions could not be loaded)
+ * @attr {string} state - Read-only: idle, loading, loaded, empty or error
+ * @attr {number} retries - How many times a failed request is retried (default: 0)
+ * @attr {number} retry-delay - Delay before the first retry, in milliseconds; doubles for each retry (default: 300)
+ * @attr {string} merge - How results combine with existing options: replace, prepend-initial, append-initial or accumulate (default: replace)
+ * @attr {number} merge-limit - Maximum number of options kept when accumulating (default: 100)
+ * @attr {boolean} tokenize - Look up and replace only the token under the caret
+ * @attr {string} separator - What separates tokens in tokenize mode, and joined values in multiple mode (default: ,)
+ * @attr {boolean} multiple - Collect several picked options as removable chips
+ * @attr {string} serialize - How chips are submitted: repeat (one field each) or join (default: repeat)
+ * @attr {string} message-remove - Label for a chip’s remove button; `{label}` is replaced (default: Remove {label})
+ * @attr {string} group-by - Option field (or dot path) holding the option’s group
+ * @attr {string} group-order - Comma-separated group names to show first, in order
+ * @attr {number} group-limit - Maximum number of options per group (default: 0, no limit)
+ * @attr {boolean} highlight - Wrap the matched text of each suggestion in `<mark>` (turns on the listbox popup)
  *
  * @fires dynamic-datalist:ready - Fired when the component is initialized
  * @fires dynamic-datalist:update - Fired when the datalist is updated with new options
- * @fires dynamic-datalist:error - Fired when an error occurs fetching options
+ * @fires dynamic-datalist:error - Fired when an error occurs fetching options (after any retries)
+ * @fires dynamic-datalist:abort - Fired when a pending request is cancelled by a newer query
+ * @fires dynamic-datalist:clear - Fired when the datalist is cleared because the query is too short
+ * @fires dynamic-datalist:select - Fired when the value becomes one of the suggested options
+ * @fires dynamic-datalist:loading - Fired when a request for options starts
+ * @fires dynamic-datalist:empty - Fired when a query returns no options
+ * @fires dynamic-datalist:add - Fired when a chip is added in multiple mode
+ * @fires dynamic-datalist:remove - Fired when a chip is removed in multiple mode
  *
- * @slot - Default slot for the input element and optional datalist
+ * @slot - Default slot for the input (or textarea) element and optional datalist
  */
 export class DynamicDatalistElement extends HTMLElement {
+	/**
+	 * Take part in forms (validation, reset and state restoration) via
+	 * ElementInternals. The wrapped input is still what gets submitted.
+	 */
+	static formAssociated = true;
+
+	/**
+	 * Response caches, keyed by endpoint, shared by all instances.
+	 * @type {Map<string, Map<string, { data: any, time: number }>>}
+	 * @private
+	 */
+	static __caches = new Map();
+
+	/**
+	 * Supported HTTP methods. Anything other than GET sends a request body.
+	 * @private
+	 */
+	static __methods = ['get', 'post', 'put', 'patch'];
+
+	/**
+	 * ValidityState flags mirrored from the wrapped input.
+	 * @private
+	 */
+	static __validityFlags = [
+		'valueMissing',
+		'typeMismatch',
+		'patternMismatch',
+		'tooLong',
+		'tooShort',
+		'rangeUnderflow',
+		'rangeOverflow',
+		'stepMismatch',
+		'badInput',
+		'customError',
+	];
+
+	/**
+	 * The fields the component can wrap: text inputs, textareas and
+	 * contenteditable hosts.
+	 * @private
+	 */
+	static __fieldSelector =
+		'input:not([type="hidden"]), textarea, [contenteditable]:not([contenteditable="false"])';
+
+	/**
+	 * Keys that don’t change the value, so keyup shouldn’t fetch for them.
+	 * @private
+	 */
+	static __navigationKeys = [
+		'ArrowUp',
+		'ArrowDown',
+		'Tab',
+		'Enter',
+		'Escape',
+		'Home',
+		'End',
+	];
+
+	/**
+	 * Request states, reflected to the `state` attribute and custom states.
+	 * @private
+	 */
+	static __states = ['idle', 'loading', 'loaded', 'empty', 'error'];
+
+	/**
+	 * Default live region messages. `{name}` placeholders are filled in
+	 * from the announcement (`count`, `query` or `error`).
+	 * @private
+	 */
+	static __defaultMessages = {
+		loading: 'Searching…',
+		result: '1 suggestion available',
+		results: '{count} suggestions available',
+		empty: 'No matches',
+		error: 'Suggestions could not be loaded',
+		remove: 'Remove {label}',
+	};
+
+	/**
+	 * Registered option providers, keyed by name. `http` (the endpoint)
+	 * and `local` (src, inline JSON or items) are built in.
+	 * @type {Map<string, (query: string, context: { signal: AbortSignal, element: DynamicDatalistElement }) => Promise<Array>>}
+	 * @private
+	 */
+	static __providers = new Map([
+		[
+			'http',
+			(query, { signal, element }) =>
+				element.__requestOptions(query, signal),
+		],
+		['local', (query, { element }) => element.__searchLocal(query)],
+	]);
+
+	/**
+	 * Register a named option provider, for use via the `provider` attribute.
+	 * @param {string} name - The provider name
+	 * @param {(query: string, context: { signal: AbortSignal, element: DynamicDatalistElement }) => Promise<Array>} provider - Returns the options for a query
+	 */
+	static registerProvider(name, provider) {
+		if (typeof provider !== 'function') {
+			DynamicDatalistElement.__warn(
+				`Provider "${name}" must be a function`,
+			);
+			return;
+		}
+		DynamicDatalistElement.__providers.set(name, provider);
+	}
+
+	constructor() {
+		super();
+		// Not every environment supports ElementInternals yet
+		if (typeof this.attachInternals === 'function') {
+			this.__internals = this.attachInternals();
+		}
+	}
+
 	static get observedAttributes() {
-		return ['endpoint', 'method', 'key'];
+		return [
+			'endpoint',
+			'method',
+			'key',
+			'options-path',
+			'cache-ttl',
+			'cache-size',
+			'cache-narrow',
+			'min-length',
+			'debounce',
+			'strategy',
+			'clear-below-min',
+			'credentials',
+			'params',
+			'include-fields',
+			'refetch-on-change',
+			'enctype',
+			'src',
+			'match',
+			'max-results',
+			'provider',
+			'strict',
+			'strict-message',
+			'strict-verify',
+			'value-name',
+			'required',
+			'render',
+			'retries',
+			'retry-delay',
+			'merge',
+			'merge-limit',
+			'tokenize',
+			'separator',
+			'multiple',
+			'serialize',
+			'group-by',
+			'group-order',
+			'group-limit',
+			'highlight',
+		];
 	}
 
 	attributeChangedCallback(name, oldValue, newValue) {
@@ -71,9 +409,59 @@ export class DynamicDatalistElement extends HTMLElement {
 		if (oldValue === newValue) return;
 
 		switch (name) {
+			case 'value-name':
+				if (this.__initialized && !this.__chips) {
+					this.__setupHiddenInput();
+				}
+				break;
+			case 'render':
+			case 'tokenize':
+			case 'highlight':
+				if (!this.__initialized) break;
+				if (this.__isListbox()) {
+					this.__setupListbox();
+				} else {
+					this.__teardownListbox();
+				}
+				break;
+			case 'strict':
+			case 'strict-message':
+			case 'required':
+				this.__validateStrict();
+				break;
+			case 'src':
+				// Load the new file on the next query
+				this.__localItemsPromise = null;
+				break;
 			case 'endpoint':
 			case 'method':
 			case 'key':
+			case 'options-path':
+			case 'cache-ttl':
+			case 'cache-size':
+			case 'cache-narrow':
+			case 'min-length':
+			case 'debounce':
+			case 'strategy':
+			case 'clear-below-min':
+			case 'credentials':
+			case 'params':
+			case 'include-fields':
+			case 'refetch-on-change':
+			case 'enctype':
+			case 'match':
+			case 'max-results':
+			case 'provider':
+			case 'retries':
+			case 'retry-delay':
+			case 'merge':
+			case 'merge-limit':
+			case 'separator':
+			case 'multiple':
+			case 'serialize':
+			case 'group-by':
+			case 'group-order':
+			case 'group-limit':
 				// Optionally, re-validate or re-initialize if needed
 				// For now, just emit an update event if the component is initialized
 				if (this.__$input && this.__$datalist) {
@@ -88,11 +476,54 @@ export class DynamicDatalistElement extends HTMLElement {
 		this._upgradeProperty('endpoint');
 		this._upgradeProperty('method');
 		this._upgradeProperty('key');
+		this._upgradeProperty('enctype');
+		this._upgradeProperty('optionsPath');
+		this._upgradeProperty('transformResponse');
+		this._upgradeProperty('cacheTtl');
+		this._upgradeProperty('cacheSize');
+		this._upgradeProperty('cacheNarrow');
+		this._upgradeProperty('minLength');
+		this._upgradeProperty('debounce');
+		this._upgradeProperty('strategy');
+		this._upgradeProperty('clearBelowMin');
+		this._upgradeProperty('retries');
+		this._upgradeProperty('retryDelay');
+		this._upgradeProperty('merge');
+		this._upgradeProperty('mergeLimit');
+		this._upgradeProperty('tokenize');
+		this._upgradeProperty('separator');
+		this._upgradeProperty('multiple');
+		this._upgradeProperty('serialize');
+		this._upgradeProperty('groupBy');
+		this._upgradeProperty('groupOrder');
+		this._upgradeProperty('groupLimit');
+		this._upgradeProperty('highlight');
+		this._upgradeProperty('optionTemplate');
+		this._upgradeProperty('credentials');
+		this._upgradeProperty('headers');
+		this._upgradeProperty('beforeRequest');
+		this._upgradeProperty('params');
+		this._upgradeProperty('includeFields');
+		this._upgradeProperty('refetchOnChange');
+		this._upgradeProperty('src');
+		this._upgradeProperty('items');
+		this._upgradeProperty('match');
+		this._upgradeProperty('maxResults');
+		this._upgradeProperty('provider');
+		this._upgradeProperty('strict');
+		this._upgradeProperty('strictMessage');
+		this._upgradeProperty('strictVerify');
+		this._upgradeProperty('valueName');
+		this._upgradeProperty('required');
+		this._upgradeProperty('render');
+		this._upgradeProperty('messages');
 
 		// Store references to input and datalist as properties
 		Promise.resolve().then(() => {
 			if (!this.__$input) {
-				this.__$input = this.querySelector('input');
+				this.__$input = this.querySelector(
+					DynamicDatalistElement.__fieldSelector,
+				);
 			}
 
 			if (!this.__$input) {
@@ -105,8 +536,54 @@ export class DynamicDatalistElement extends HTMLElement {
 
 	disconnectedCallback() {
 		if (this.__$input) {
+			this.__$input.removeEventListener('input', this.__boundHandleInput);
+			this.__$input.removeEventListener(
+				'compositionstart',
+				this.__boundHandleCompositionStart,
+			);
+			this.__$input.removeEventListener(
+				'compositionend',
+				this.__boundHandleCompositionEnd,
+			);
 			this.__$input.removeEventListener('keyup', this.__boundHandleKeyup);
+			this.__$input.removeEventListener(
+				'input',
+				this.__boundHandleSelection,
+			);
+			this.__$input.removeEventListener(
+				'change',
+				this.__boundHandleSelection,
+			);
+			['input', 'change', 'invalid'].forEach((type) => {
+				this.__$input.removeEventListener(
+					type,
+					this.__boundHandleValidation,
+				);
+			});
+			this.__$input.removeEventListener(
+				'keydown',
+				this.__boundHandleKeydown,
+			);
+			this.__$input.removeEventListener('blur', this.__boundCloseListbox);
+		}
+		document.removeEventListener(
+			'change',
+			this.__boundHandleIncludedFieldChange,
+		);
+		document.removeEventListener('reset', this.__boundHandleFormReset);
+		document.removeEventListener(
+			'click',
+			this.__boundHandleSubmitterClick,
+			true,
+		);
+		window.removeEventListener('pageshow', this.__boundHandlePageShow);
+		window.removeEventListener('online', this.__boundHandleOnline);
+		clearTimeout(this.__debounceTimer);
+		this.__abortPendingRequest();
+		if (this.state === 'loading') {
+			this.__setState('idle');
 		}
+		this.__initialized = false;
 	}
 
 	static __warn(message) {
@@ -144,7 +621,7 @@ export class DynamicDatalistElement extends HTMLElement {
 	}
 
 	/**
-	 * HTTP method for the request (get or post).
+	 * HTTP method for the request (get, post, put or patch).
 	 * Reflects between property and attribute to keep them in sync.
 	 * Defaults to 'get' if not specified.
 	 */
@@ -160,6 +637,23 @@ export class DynamicDatalistElement extends HTMLElement {
 		}
 	}
 
+	/**
+	 * How request bodies are encoded for non-GET methods (json or form).
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 'json' if not specified.
+	 */
+	get enctype() {
+		return this.getAttribute('enctype') || 'json';
+	}
+
+	set enctype(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('enctype');
+		} else {
+			this.setAttribute('enctype', value);
+		}
+	}
+
 	/**
 	 * Variable name for the query value in the request.
 	 * Reflects between property and attribute to keep them in sync.
@@ -177,180 +671,3589 @@ export class DynamicDatalistElement extends HTMLElement {
 		}
 	}
 
-	__createOrFindDatalist() {
-		// Only query if we don't already have a reference
-		if (!this.__$input) {
-			this.__$input = this.querySelector('input');
-		}
-
-		// Only add or update the list attribute on the input, never replace the input element
-		requestAnimationFrame(() => {
-			if (!this.__$input) return;
-			const listId = this.__$input.getAttribute('list');
-			let datalist = null;
-			// 1. If the input has a list assigned and you find it, use that and end
-			if (listId) {
-				datalist = this.querySelector(`datalist#${CSS.escape(listId)}`);
-				if (datalist) {
-					this.__$datalist = datalist;
-					return;
-				}
-			}
-			// 2 & 3. If the input has a list assigned and you can't find it, or has no list, proceed
-			// 4. If there is an unassigned datalist (no id), associate it
-			datalist = Array.from(this.querySelectorAll('datalist')).find(
-				(dl) => !dl.id,
-			);
-			if (datalist) {
-				const newId = `dynamic-datalist-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-				datalist.id = newId;
-				this.__$input.setAttribute('list', newId);
-				this.__$datalist = datalist;
-				return;
-			}
-			// 5. If there is no unassigned datalist, create one
-			const newId = `dynamic-datalist-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-			datalist = document.createElement('datalist');
-			datalist.id = newId;
-			this.appendChild(datalist);
-			this.__$input.setAttribute('list', newId);
-			this.__$datalist = datalist;
-		});
+	/**
+	 * Path to the options array within the response, either as a dot path
+	 * (`hits.hits`) or a JSON pointer (`/data/items`).
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 'options' if not specified.
+	 */
+	get optionsPath() {
+		return this.getAttribute('options-path') || 'options';
 	}
 
-	__validateAttributes() {
-		const allowedMethods = ['get', 'post'];
-
-		if (!this.endpoint) {
-			DynamicDatalistElement.__warn('No endpoint attribute specified');
-			return false;
-		}
-
-		if (!allowedMethods.includes(this.method.toLowerCase())) {
-			DynamicDatalistElement.__warn(
-				`Invalid method "${this.method}". Using "get" instead.`,
-			);
-			// No need to set this.method, just fallback in usage
+	set optionsPath(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('options-path');
+		} else {
+			this.setAttribute('options-path', value);
 		}
-
-		return true;
 	}
 
-	__emitEvent(type, detail = {}) {
-		const event = new CustomEvent(`dynamic-datalist:${type}`, {
-			detail: {
-				input: this.__$input,
-				datalist: this.__$datalist,
-				...detail,
-			},
-		});
-		this.dispatchEvent(event);
+	/**
+	 * Optional function that maps the parsed JSON response to the options
+	 * array. It receives the response and the query. If it returns an object
+	 * rather than an array, `optionsPath` is resolved against that object.
+	 * @type {((json: any, query: string) => any)|null}
+	 */
+	get transformResponse() {
+		return this.__transformResponse || null;
 	}
 
-	async __fetchOptions(query) {
-		const method = this.method.toLowerCase();
-		const payload = { [this.key]: query };
-
-		try {
-			let response;
+	set transformResponse(value) {
+		this.__transformResponse = typeof value === 'function' ? value : null;
+	}
 
-			if (method === 'post') {
-				response = await fetch(this.endpoint, {
-					method: 'POST',
-					headers: {
-						'Content-Type': 'application/json',
-					},
-					body: JSON.stringify(payload),
-				});
-			} else {
-				const params = new URLSearchParams(payload);
-				const url = `${this.endpoint}?${params.toString()}`;
-				response = await fetch(url);
-			}
+	/**
+	 * How long responses are cached, in milliseconds. 0 disables caching.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 0 if not specified.
+	 */
+	get cacheTtl() {
+		const ttl = parseInt(this.getAttribute('cache-ttl'), 10);
+		return ttl > 0 ? ttl : 0;
+	}
 
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
+	set cacheTtl(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('cache-ttl');
+		} else {
+			this.setAttribute('cache-ttl', value);
+		}
+	}
 
-			const data = await response.json();
+	/**
+	 * Maximum number of cached responses for this endpoint.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 50 if not specified.
+	 */
+	get cacheSize() {
+		const size = parseInt(this.getAttribute('cache-size'), 10);
+		return size > 0 ? size : 50;
+	}
 
-			if (data.options && Array.isArray(data.options)) {
-				this.__updateDatalist(data.options);
-				this.__emitEvent('update', { options: data.options });
-			}
-		} catch (error) {
-			DynamicDatalistElement.__warn(
-				`Failed to fetch options: ${error.message}`,
-			);
-			this.__emitEvent('error', { error });
+	set cacheSize(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('cache-size');
+		} else {
+			this.setAttribute('cache-size', value);
 		}
 	}
 
-	__updateDatalist(options) {
-		// Only update if we have a reference
-		if (!this.__$datalist) return;
+	/**
+	 * Whether longer queries may be answered by filtering the cached
+	 * options of a shorter one. Only enable this if the endpoint returns
+	 * every match for a query rather than a truncated page.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get cacheNarrow() {
+		return this.hasAttribute('cache-narrow');
+	}
 
-		// Clear existing options
-		this.__$datalist.innerHTML = '';
+	set cacheNarrow(value) {
+		this.toggleAttribute('cache-narrow', Boolean(value));
+	}
 
-		// Add new options
-		options.forEach((value) => {
-			const option = document.createElement('option');
-			option.value = value;
-			option.textContent = value;
-			this.__$datalist.appendChild(option);
-		});
+	/**
+	 * URL of a JSON file to filter locally when there is no endpoint.
+	 * It is fetched once, on the first query.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get src() {
+		return this.getAttribute('src');
 	}
 
-	__valueMatchesOption(value) {
-		if (!this.__$datalist || !value) {
-			return false;
+	set src(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('src');
+		} else {
+			this.setAttribute('src', value);
 		}
+	}
 
-		return Array.from(this.__$datalist.options).some(
-			(option) => option.value === value,
-		);
+	/**
+	 * Items (strings or option objects) to filter locally when there is
+	 * no endpoint.
+	 * @type {Array|null}
+	 */
+	get items() {
+		return this.__items || null;
 	}
 
-	__handleKeyup(e) {
-		const key = e.which || e.keyCode;
+	set items(value) {
+		this.__items = Array.isArray(value) ? value : null;
 
-		// Ignore arrow keys, tab, and enter
-		if (key === 38 || key === 40 || key === 9 || key === 13) {
-			return;
+		// Allow items set after connection to initialize the component
+		if (this.__items && this.__$input && !this.__initialized) {
+			this.__init();
 		}
+	}
 
-		const value = this.__$input.value;
+	/**
+	 * Where options come from: a function `(query, { signal, element })`
+	 * that resolves to an options array, or the name of a provider
+	 * registered with `DynamicDatalistElement.registerProvider()`. Names
+	 * are reflected to the `provider` attribute.
+	 * @type {Function|string|null}
+	 */
+	get provider() {
+		return this.__provider || this.getAttribute('provider');
+	}
 
-		// Selecting an existing option (via mouse or keyboard) should not re-fetch
-		if (this.__valueMatchesOption(value)) {
-			clearTimeout(this.__debounceTimer);
-			return;
+	set provider(value) {
+		if (typeof value === 'function') {
+			this.__provider = value;
+		} else {
+			this.__provider = null;
+			if (value === null || value === undefined) {
+				this.removeAttribute('provider');
+			} else {
+				this.setAttribute('provider', value);
+			}
 		}
 
-		// Debounce fetch calls
-		clearTimeout(this.__debounceTimer);
-		if (value) {
-			this.__debounceTimer = setTimeout(() => {
-				this.__fetchOptions(value);
-			}, 250);
+		// Allow a provider set after connection to initialize the component
+		if (this.provider && this.__$input && !this.__initialized) {
+			this.__init();
 		}
 	}
 
-	__addObservers() {
-		this.__boundHandleKeyup = this.__handleKeyup.bind(this);
-		if (this.__$input) {
-			this.__$input.addEventListener('keyup', this.__boundHandleKeyup);
-		}
+	/**
+	 * Whether the value must be one of the suggested options. Other values
+	 * make the input invalid via `setCustomValidity()`.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get strict() {
+		return this.hasAttribute('strict');
 	}
 
-	__init() {
-		if (!this.__validateAttributes()) {
-			return;
-		}
+	set strict(value) {
+		this.toggleAttribute('strict', Boolean(value));
+	}
 
-		this.__createOrFindDatalist();
+	/**
+	 * Validation message used in strict mode.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get strictMessage() {
+		return (
+			this.getAttribute('strict-message') ||
+			'Please choose one of the suggested options.'
+		);
+	}
+
+	set strictMessage(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('strict-message');
+		} else {
+			this.setAttribute('strict-message', value);
+		}
+	}
+
+	/**
+	 * Whether, in strict mode, values that were never suggested are
+	 * re-checked against the provider on change, on form submission and
+	 * (for pre-filled values) on initialization.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get strictVerify() {
+		return this.hasAttribute('strict-verify');
+	}
+
+	set strictVerify(value) {
+		this.toggleAttribute('strict-verify', Boolean(value));
+	}
+
+	/**
+	 * Whether a value is required for the element to be valid. This is in
+	 * addition to any `required` on the wrapped input.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get required() {
+		return this.hasAttribute('required');
+	}
+
+	set required(value) {
+		this.toggleAttribute('required', Boolean(value));
+	}
+
+	/**
+	 * Name of a hidden field that receives the picked option’s value while
+	 * the visible input shows its label.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get valueName() {
+		return this.getAttribute('value-name');
+	}
+
+	set valueName(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('value-name');
+		} else {
+			this.setAttribute('value-name', value);
+		}
+	}
+
+	/**
+	 * How suggestions are shown: the native datalist or the component’s own
+	 * listbox popup. Reflects between property and attribute to keep them
+	 * in sync. Defaults to 'datalist' if not specified.
+	 */
+	get render() {
+		return this.getAttribute('render') || 'datalist';
+	}
+
+	set render(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('render');
+		} else {
+			this.setAttribute('render', value);
+		}
+	}
+
+	/**
+	 * Live region messages, keyed by loading, result, results, empty and
+	 * error. Each is a string with `{name}` placeholders or a function that
+	 * receives `{ count, query, error }` and returns a string. These take
+	 * precedence over the `message-*` attributes.
+	 * @type {Object<string, string|Function>|null}
+	 */
+	get messages() {
+		return this.__messages || null;
+	}
+
+	set messages(value) {
+		this.__messages = value || null;
+	}
+
+	/**
+	 * The request state: idle, loading, loaded, empty or error.
+	 * Set by the component and reflected to the `state` attribute.
+	 * @type {string}
+	 */
+	get state() {
+		return this.getAttribute('state') || 'idle';
+	}
+
+	/**
+	 * How local items are matched against the query (prefix, substring or
+	 * word-start).
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 'prefix' if not specified.
+	 */
+	get match() {
+		return this.getAttribute('match') || 'prefix';
+	}
+
+	set match(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('match');
+		} else {
+			this.setAttribute('match', value);
+		}
+	}
+
+	/**
+	 * Maximum number of local matches to show. 0 means no limit.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 0 if not specified.
+	 */
+	get maxResults() {
+		const max = parseInt(this.getAttribute('max-results'), 10);
+		return max > 0 ? max : 0;
+	}
+
+	set maxResults(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('max-results');
+		} else {
+			this.setAttribute('max-results', value);
+		}
+	}
+
+	/**
+	 * Static parameters sent with every request, in query-string
+	 * (`limit=10&locale=en`) or JSON syntax.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get params() {
+		return this.getAttribute('params');
+	}
+
+	set params(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('params');
+		} else if (typeof value === 'object') {
+			this.setAttribute('params', JSON.stringify(value));
+		} else {
+			this.setAttribute('params', value);
+		}
+	}
+
+	/**
+	 * Comma-separated names or selectors of other form controls whose
+	 * values are sent with every request.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get includeFields() {
+		return this.getAttribute('include-fields');
+	}
+
+	set includeFields(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('include-fields');
+		} else {
+			this.setAttribute('include-fields', value);
+		}
+	}
+
+	/**
+	 * Whether a change to an included field clears and re-fetches the list.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get refetchOnChange() {
+		return this.hasAttribute('refetch-on-change');
+	}
+
+	set refetchOnChange(value) {
+		this.toggleAttribute('refetch-on-change', Boolean(value));
+	}
+
+	/**
+	 * Credentials mode for the request (omit, same-origin or include).
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get credentials() {
+		return this.getAttribute('credentials');
+	}
+
+	set credentials(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('credentials');
+		} else {
+			this.setAttribute('credentials', value);
+		}
+	}
+
+	/**
+	 * Extra request headers, as an object or a function that receives the
+	 * query and returns one (e.g. to add a fresh bearer token).
+	 * @type {object|Headers|((query: string) => object)|null}
+	 */
+	get headers() {
+		return this.__headers || null;
+	}
+
+	set headers(value) {
+		this.__headers = value || null;
+	}
+
+	/**
+	 * Optional (async) function called with `{ url, init, query }` before
+	 * each request. It may modify the request in place or return a
+	 * replacement.
+	 * @type {((request: object) => any)|null}
+	 */
+	get beforeRequest() {
+		return this.__beforeRequest || null;
+	}
+
+	set beforeRequest(value) {
+		this.__beforeRequest = typeof value === 'function' ? value : null;
+	}
+
+	/**
+	 * Minimum query length before options are fetched.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 1 if not specified.
+	 */
+	get minLength() {
+		const length = parseInt(this.getAttribute('min-length'), 10);
+		return length >= 0 ? length : 1;
+	}
+
+	set minLength(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('min-length');
+		} else {
+			this.setAttribute('min-length', value);
+		}
+	}
+
+	/**
+	 * Delay (debounce) or interval (throttle) for fetching, in milliseconds.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 250 if not specified.
+	 */
+	get debounce() {
+		const delay = parseInt(this.getAttribute('debounce'), 10);
+		return delay >= 0 ? delay : 250;
+	}
+
+	set debounce(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('debounce');
+		} else {
+			this.setAttribute('debounce', value);
+		}
+	}
+
+	/**
+	 * How fetches are rate-limited while typing (debounce or throttle).
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 'debounce' if not specified.
+	 */
+	get strategy() {
+		return this.getAttribute('strategy') || 'debounce';
+	}
+
+	set strategy(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('strategy');
+		} else {
+			this.setAttribute('strategy', value);
+		}
+	}
+
+	/**
+	 * Whether to clear the datalist when the query drops below minLength.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get clearBelowMin() {
+		return this.hasAttribute('clear-below-min');
+	}
+
+	set clearBelowMin(value) {
+		this.toggleAttribute('clear-below-min', Boolean(value));
+	}
+
+	/**
+	 * How results combine with the options already in the list: replace,
+	 * prepend-initial, append-initial or accumulate.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 'replace' if not specified.
+	 */
+	get merge() {
+		return this.getAttribute('merge') || 'replace';
+	}
+
+	set merge(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('merge');
+		} else {
+			this.setAttribute('merge', value);
+		}
+	}
+
+	/**
+	 * Maximum number of options kept when results accumulate.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 100 if not specified.
+	 */
+	get mergeLimit() {
+		const limit = parseInt(this.getAttribute('merge-limit'), 10);
+		return limit > 0 ? limit : 100;
+	}
+
+	set mergeLimit(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('merge-limit');
+		} else {
+			this.setAttribute('merge-limit', value);
+		}
+	}
+
+	/**
+	 * Whether only the token under the caret is looked up and replaced.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get tokenize() {
+		return this.hasAttribute('tokenize');
+	}
+
+	set tokenize(value) {
+		this.toggleAttribute('tokenize', Boolean(value));
+	}
+
+	/**
+	 * What separates tokens in tokenize mode.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to ',' if not specified.
+	 */
+	get separator() {
+		return this.getAttribute('separator') || ',';
+	}
+
+	set separator(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('separator');
+		} else {
+			this.setAttribute('separator', value);
+		}
+	}
+
+	/**
+	 * Whether picked options are collected as chips.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get multiple() {
+		return this.hasAttribute('multiple');
+	}
+
+	set multiple(value) {
+		this.toggleAttribute('multiple', Boolean(value));
+	}
+
+	/**
+	 * How chips are submitted: repeat (one field per chip) or join (one
+	 * field, joined with the separator).
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 'repeat' if not specified.
+	 */
+	get serialize() {
+		return this.getAttribute('serialize') || 'repeat';
+	}
+
+	set serialize(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('serialize');
+		} else {
+			this.setAttribute('serialize', value);
+		}
+	}
+
+	/**
+	 * Option field (or dot path) holding each option’s group name.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get groupBy() {
+		return this.getAttribute('group-by');
+	}
+
+	set groupBy(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('group-by');
+		} else {
+			this.setAttribute('group-by', value);
+		}
+	}
+
+	/**
+	 * Comma-separated group names to show first, in this order. Other
+	 * groups follow in the order they first appear.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get groupOrder() {
+		return this.getAttribute('group-order');
+	}
+
+	set groupOrder(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('group-order');
+		} else {
+			this.setAttribute('group-order', value);
+		}
+	}
+
+	/**
+	 * Maximum number of options shown per group. 0 means no limit.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 0 if not specified.
+	 */
+	get groupLimit() {
+		const limit = parseInt(this.getAttribute('group-limit'), 10);
+		return limit > 0 ? limit : 0;
+	}
+
+	set groupLimit(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('group-limit');
+		} else {
+			this.setAttribute('group-limit', value);
+		}
+	}
+
+	/**
+	 * Whether the matched text of each suggestion is wrapped in `<mark>`.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get highlight() {
+		return this.hasAttribute('highlight');
+	}
+
+	set highlight(value) {
+		this.toggleAttribute('highlight', Boolean(value));
+	}
+
+	/**
+	 * A function `(record, { query, highlight })` that builds the content
+	 * of a listbox option. It may return a node or a string (used as
+	 * text); `highlight(text)` returns the text with the query marked.
+	 * Takes precedence over a `<template>` child.
+	 * @type {Function|null}
+	 */
+	get optionTemplate() {
+		return this.__optionTemplate || null;
+	}
+
+	set optionTemplate(value) {
+		this.__optionTemplate = typeof value === 'function' ? value : null;
+
+		// Rows need the listbox popup
+		if (this.__initialized && this.__isListbox()) {
+			this.__setupListbox();
+		}
+	}
+
+	/**
+	 * The values of the chips, in multiple mode.
+	 * @type {Array<string>}
+	 */
+	get values() {
+		return this.__chips ? Array.from(this.__chips.keys()) : [];
+	}
+
+	/**
+	 * How many times a failed request is retried.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 0 if not specified.
+	 */
+	get retries() {
+		const retries = parseInt(this.getAttribute('retries'), 10);
+		return retries > 0 ? retries : 0;
+	}
+
+	set retries(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('retries');
+		} else {
+			this.setAttribute('retries', value);
+		}
+	}
+
+	/**
+	 * Delay before the first retry, in milliseconds. Each further retry
+	 * waits twice as long, with some random jitter.
+	 * Reflects between property and attribute to keep them in sync.
+	 * Defaults to 300 if not specified.
+	 */
+	get retryDelay() {
+		const delay = parseInt(this.getAttribute('retry-delay'), 10);
+		return delay >= 0 ? delay : 300;
+	}
+
+	set retryDelay(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('retry-delay');
+		} else {
+			this.setAttribute('retry-delay', value);
+		}
+	}
+
+	/**
+	 * Clear cached responses for one endpoint, or for all endpoints.
+	 * @param {string} [endpoint] - The endpoint whose cache to clear
+	 */
+	static clearCache(endpoint) {
+		if (endpoint) {
+			DynamicDatalistElement.__caches.delete(endpoint);
+		} else {
+			DynamicDatalistElement.__caches.clear();
+		}
+	}
+
+	__createOrFindDatalist() {
+		// Only query if we don't already have a reference
+		if (!this.__$input) {
+			this.__$input = this.querySelector(
+				DynamicDatalistElement.__fieldSelector,
+			);
+		}
+
+		// Only add or update the list attribute on the input, never replace the input element
+		requestAnimationFrame(() => {
+			if (!this.__$input) return;
+			// 0. If we're reconnecting, keep the datalist we already have
+			if (this.__$datalist && this.contains(this.__$datalist)) {
+				// The listbox popup replaces the native one
+				if (this.__$listbox) {
+					this.__$input.removeAttribute('list');
+				} else {
+					this.__$input.setAttribute('list', this.__$datalist.id);
+				}
+				return;
+			}
+			const listId = this.__$input.getAttribute('list');
+			let datalist = null;
+			// 1. If the input has a list assigned and you find it, use that and end
+			if (listId) {
+				datalist = this.querySelector(`datalist#${CSS.escape(listId)}`);
+				if (datalist) {
+					this.__$datalist = datalist;
+					return;
+				}
+			}
+			// 2 & 3. If the input has a list assigned and you can't find it, or has no list, proceed
+			// 4. If there is an unassigned datalist (no id), associate it
+			datalist = Array.from(this.querySelectorAll('datalist')).find(
+				(dl) => !dl.id,
+			);
+			if (datalist) {
+				const newId = `dynamic-datalist-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+				datalist.id = newId;
+				this.__$input.setAttribute('list', newId);
+				this.__$datalist = datalist;
+				return;
+			}
+			// 5. If there is no unassigned datalist, create one
+			const newId = `dynamic-datalist-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+			datalist = document.createElement('datalist');
+			datalist.id = newId;
+			this.appendChild(datalist);
+			this.__$input.setAttribute('list', newId);
+			this.__$datalist = datalist;
+		});
+	}
+
+	__validateAttributes() {
+		const allowedMethods = DynamicDatalistElement.__methods;
+		const allowedEnctypes = ['json', 'form'];
+		const allowedMatches = ['prefix', 'substring', 'word-start'];
+		const allowedStrategies = ['debounce', 'throttle'];
+		const allowedCredentials = ['omit', 'same-origin', 'include'];
+		const allowedRenders = ['datalist', 'listbox'];
+		const allowedSerializes = ['repeat', 'join'];
+		const allowedMerges = [
+			'replace',
+			'prepend-initial',
+			'append-initial',
+			'accumulate',
+		];
+
+		if (!this.endpoint && !this.provider && !this.__hasLocalSource()) {
+			DynamicDatalistElement.__warn(
+				'No endpoint attribute specified (and no provider, src, items or inline JSON to use instead)',
+			);
+			return false;
+		}
+
+		if (!allowedMatches.includes(this.match.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid match "${this.match}". Using "prefix" instead.`,
+			);
+		}
+
+		if (!allowedMerges.includes(this.merge.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid merge "${this.merge}". Using "replace" instead.`,
+			);
+		}
+
+		if (!allowedSerializes.includes(this.serialize.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid serialize "${this.serialize}". Using "repeat" instead.`,
+			);
+		}
+
+		if (!allowedRenders.includes(this.render.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid render "${this.render}". Using "datalist" instead.`,
+			);
+		}
+
+		if (!allowedMethods.includes(this.method.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid method "${this.method}". Using "get" instead.`,
+			);
+			// No need to set this.method, just fallback in usage
+		}
+
+		if (!allowedEnctypes.includes(this.enctype.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid enctype "${this.enctype}". Using "json" instead.`,
+			);
+		}
+
+		if (!allowedStrategies.includes(this.strategy.toLowerCase())) {
+			DynamicDatalistElement.__warn(
+				`Invalid strategy "${this.strategy}". Using "debounce" instead.`,
+			);
+		}
+
+		if (
+			this.credentials &&
+			!allowedCredentials.includes(this.credentials)
+		) {
+			DynamicDatalistElement.__warn(
+				`Invalid credentials "${this.credentials}". Expected one of ${allowedCredentials.join(', ')}.`,
+			);
+		}
+
+		[
+			'cache-ttl',
+			'cache-size',
+			'min-length',
+			'debounce',
+			'max-results',
+			'retries',
+			'retry-delay',
+			'merge-limit',
+			'group-limit',
+		].forEach((name) => {
+			const value = this.getAttribute(name);
+			if (value !== null && !(parseInt(value, 10) >= 0)) {
+				DynamicDatalistElement.__warn(
+					`Invalid ${name} "${value}". Using the default instead.`,
+				);
+			}
+		});
+
+		return true;
+	}
+
+	__emitEvent(type, detail = {}) {
+		const event = new CustomEvent(`dynamic-datalist:${type}`, {
+			detail: {
+				input: this.__$input,
+				datalist: this.__$datalist,
+				...detail,
+			},
+		});
+		this.dispatchEvent(event);
+	}
+
+	__cacheKey(query) {
+		return JSON.stringify([
+			this.endpoint,
+			this.method.toLowerCase(),
+			this.key,
+			query,
+			this.__getExtraParams(),
+		]);
+	}
+
+	__readCache(query) {
+		const cache = DynamicDatalistElement.__caches.get(this.endpoint);
+		const cacheKey = this.__cacheKey(query);
+		const entry = cache && cache.get(cacheKey);
+		if (!entry) return undefined;
+
+		if (Date.now() - entry.time > this.cacheTtl) {
+			cache.delete(cacheKey);
+			return undefined;
+		}
+
+		// Re-insert so the Map’s insertion order tracks recency
+		cache.delete(cacheKey);
+		cache.set(cacheKey, entry);
+		return entry.data;
+	}
+
+	__writeCache(query, data) {
+		const { __caches: caches } = DynamicDatalistElement;
+		if (!caches.has(this.endpoint)) {
+			caches.set(this.endpoint, new Map());
+		}
+
+		const cache = caches.get(this.endpoint);
+		const cacheKey = this.__cacheKey(query);
+		cache.delete(cacheKey);
+		cache.set(cacheKey, { data, time: Date.now() });
+
+		// Evict the least recently used entries
+		while (cache.size > this.cacheSize) {
+			cache.delete(cache.keys().next().value);
+		}
+	}
+
+	/**
+	 * Find cached options for a query, either directly or (with
+	 * `cache-narrow`) by filtering the options cached for a prefix of it.
+	 * @param {string} query - The query
+	 * @returns {Array|undefined} The options or undefined on a cache miss
+	 * @private
+	 */
+	__getCachedOptions(query) {
+		const data = this.__readCache(query);
+		if (data !== undefined) {
+			return this.__extractOptions(data, query);
+		}
+
+		if (!this.cacheNarrow) return undefined;
+
+		const needle = query.toLowerCase();
+		for (let length = query.length - 1; length > 0; length -= 1) {
+			const prefix = query.slice(0, length);
+			const prefixData = this.__readCache(prefix);
+			if (prefixData !== undefined) {
+				return this.__extractOptions(prefixData, prefix).filter(
+					(option) => {
+						const record =
+							DynamicDatalistElement.__normalizeOption(option);
+						return (
+							record &&
+							(record.value.toLowerCase().includes(needle) ||
+								record.label.toLowerCase().includes(needle))
+						);
+					},
+				);
+			}
+		}
+
+		return undefined;
+	}
+
+	__hasLocalSource() {
+		return Boolean(
+			this.src ||
+				this.items ||
+				this.querySelector('script[type="application/json"]'),
+		);
+	}
+
+	/**
+	 * Get the items for local (endpoint-less) mode from, in order of
+	 * preference, the `items` property, an inline
+	 * `<script type="application/json">` child or the `src` URL. Inline and
+	 * remote data are passed through `transformResponse`/`optionsPath` and
+	 * only loaded once.
+	 * @returns {Promise<Array>} The items
+	 * @private
+	 */
+	__loadLocalItems() {
+		if (this.items) {
+			return Promise.resolve(this.items);
+		}
+
+		if (!this.__localItemsPromise) {
+			const script = this.querySelector(
+				'script[type="application/json"]',
+			);
+			let load;
+
+			if (script) {
+				load = Promise.resolve().then(() =>
+					JSON.parse(script.textContent),
+				);
+			} else if (this.src) {
+				load = fetch(this.src).then((response) => {
+					if (!response.ok) {
+						throw new Error(
+							`HTTP error! status: ${response.status}`,
+						);
+					}
+					return response.json();
+				});
+			} else {
+				load = Promise.resolve([]);
+			}
+
+			this.__localItemsPromise = load
+				.then((data) => this.__extractOptions(data, ''))
+				.catch((error) => {
+					// Allow a later query to try again
+					this.__localItemsPromise = null;
+					throw error;
+				});
+		}
+
+		return this.__localItemsPromise;
+	}
+
+	/**
+	 * Check whether an option record matches a query.
+	 * @param {object} record - The option record
+	 * @param {string} query - The lowercased query
+	 * @param {string} match - prefix, substring or word-start
+	 * @returns {boolean} Whether the record matches
+	 * @private
+	 */
+	static __matchesQuery(record, query, match) {
+		return [record.label, record.value].some((text) => {
+			const haystack = text.toLowerCase();
+			switch (match) {
+				case 'substring':
+					return haystack.includes(query);
+				case 'word-start':
+					return haystack
+						.split(/[\s\-_.,/()]+/)
+						.some((word) => word.startsWith(query));
+				default:
+					return haystack.startsWith(query);
+			}
+		});
+	}
+
+	async __searchLocal(query) {
+		const items = await this.__loadLocalItems();
+
+		const needle = query.toLowerCase();
+		const match = this.match.toLowerCase();
+		let options = items.filter((item) => {
+			const record = DynamicDatalistElement.__normalizeOption(item);
+			return (
+				record &&
+				DynamicDatalistElement.__matchesQuery(record, needle, match)
+			);
+		});
+
+		if (this.maxResults) {
+			options = options.slice(0, this.maxResults);
+		}
+
+		return options;
+	}
+
+	/**
+	 * Cancel the in-flight request, if there is one.
+	 * @private
+	 */
+	__abortPendingRequest() {
+		// A query waiting for the connection is superseded too
+		this.__pausedQuery = undefined;
+		if (!this.__abortController) return;
+
+		// The pending request always belongs to the latest query
+		this.__abortController.abort();
+		this.__abortController = null;
+		this.__emitEvent('abort', { query: this.__latestQuery });
+	}
+
+	/**
+	 * A response is stale if its request was aborted or a newer query has
+	 * been issued since.
+	 * @private
+	 */
+	__isStale(signal, query) {
+		return signal.aborted || query !== this.__latestQuery;
+	}
+
+	/**
+	 * Parse the `params` attribute, which may use query-string
+	 * (`limit=10&locale=en`) or JSON (`{"limit": 10}`) syntax.
+	 * @param {string|null} params - The attribute value
+	 * @returns {object} The parsed parameters
+	 * @private
+	 */
+	static __parseParams(params) {
+		if (!params || !params.trim()) {
+			return {};
+		}
+
+		if (params.trim().startsWith('{')) {
+			try {
+				return JSON.parse(params);
+			} catch (error) {
+				DynamicDatalistElement.__warn(
+					`Invalid params JSON: ${error.message}`,
+				);
+				return {};
+			}
+		}
+
+		return Object.fromEntries(new URLSearchParams(params));
+	}
+
+	/**
+	 * Find the form controls listed in `include-fields`. Each entry is
+	 * looked up by name (within the input’s form, then the document) and,
+	 * failing that, as a CSS selector.
+	 * @returns {Array<{ name: string, field: Element|RadioNodeList }>}
+	 * @private
+	 */
+	__getIncludedFields() {
+		if (!this.includeFields) {
+			return [];
+		}
+
+		const form = this.__$input && this.__$input.form;
+
+		return this.includeFields
+			.split(',')
+			.map((entry) => entry.trim())
+			.filter(Boolean)
+			.map((entry) => {
+				let field = form ? form.elements.namedItem(entry) : null;
+				if (!field) {
+					const named = document.getElementsByName(entry);
+					field = named.length ? named[0] : null;
+				}
+				if (!field) {
+					try {
+						field = document.querySelector(entry);
+					} catch {
+						field = null;
+					}
+				}
+				if (!field) {
+					DynamicDatalistElement.__warn(
+						`No field found for include-fields entry "${entry}"`,
+					);
+					return null;
+				}
+				const name =
+					(field.getAttribute && field.getAttribute('name')) ||
+					field.id ||
+					entry;
+				return { name, field };
+			})
+			.filter(Boolean);
+	}
+
+	static __fieldValue(field) {
+		if (field.type === 'checkbox' || field.type === 'radio') {
+			return field.checked ? field.value : '';
+		}
+		return field.value;
+	}
+
+	/**
+	 * Collect the static `params` and the current values of any
+	 * `include-fields`, to be sent alongside the query.
+	 * @returns {object} The extra parameters
+	 * @private
+	 */
+	__getExtraParams() {
+		const extras = DynamicDatalistElement.__parseParams(this.params);
+
+		this.__getIncludedFields().forEach(({ name, field }) => {
+			extras[name] = DynamicDatalistElement.__fieldValue(field);
+		});
+
+		return extras;
+	}
+
+	__isIncludedField(target) {
+		return this.__getIncludedFields().some(({ field }) =>
+			typeof field.length === 'number' && !field.tagName
+				? Array.from(field).includes(target)
+				: field === target,
+		);
+	}
+
+	__handleIncludedFieldChange(e) {
+		if (!this.refetchOnChange || !this.__isIncludedField(e.target)) {
+			return;
+		}
+
+		clearTimeout(this.__debounceTimer);
+		this.__updateDatalist([]);
+
+		const query = this.__query();
+		if (query.length >= this.minLength) {
+			this.__fetchOptions(query);
+		}
+	}
+
+	/**
+	 * Build the URL and fetch init for a query.
+	 * @param {string} query - The query
+	 * @param {AbortSignal} signal - The signal for the request
+	 * @returns {{ url: string, init: RequestInit, query: string }}
+	 * @private
+	 */
+	__buildRequest(query, signal) {
+		const method = this.__getMethod();
+		const payload = { ...this.__getExtraParams(), [this.key]: query };
+		const headers = this.__resolveHeaders(query);
+
+		// Template variables are consumed by the URL rather than sent as parameters
+		const { url, used } = DynamicDatalistElement.__expandTemplate(
+			this.endpoint,
+			{ ...payload, query },
+		);
+		used.forEach((name) => {
+			delete payload[name === 'query' ? this.key : name];
+		});
+
+		let request;
+
+		if (method === 'get') {
+			request = {
+				url: DynamicDatalistElement.__mergeSearchParams(url, payload),
+				init: { signal },
+			};
+			if (Object.keys(headers).length) {
+				request.init.headers = headers;
+			}
+		} else {
+			const isForm = this.enctype.toLowerCase() === 'form';
+			request = {
+				url,
+				init: {
+					method: method.toUpperCase(),
+					headers: {
+						'Content-Type': isForm
+							? 'application/x-www-form-urlencoded'
+							: 'application/json',
+						...headers,
+					},
+					body: isForm
+						? new URLSearchParams(payload).toString()
+						: JSON.stringify(payload),
+					signal,
+				},
+			};
+		}
+
+		if (this.credentials) {
+			request.init.credentials = this.credentials;
+		}
+		request.query = query;
+
+		return request;
+	}
+
+	__getMethod() {
+		const method = this.method.toLowerCase();
+		return DynamicDatalistElement.__methods.includes(method)
+			? method
+			: 'get';
+	}
+
+	/**
+	 * Expand RFC 6570-style `{name}` (encoded) and `{+name}` (reserved
+	 * characters kept) expressions in a URL template.
+	 * @param {string} template - The URL template
+	 * @param {object} variables - Values for the template variables
+	 * @returns {{ url: string, used: Set<string> }} The expanded URL and the names it used
+	 * @private
+	 */
+	static __expandTemplate(template, variables) {
+		const used = new Set();
+		const url = template.replace(
+			/\{(\+?)([\w.-]+)\}/g,
+			(match, op, name) => {
+				if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+					return match;
+				}
+				used.add(name);
+				const value = String(variables[name] ?? '');
+				return op === '+'
+					? encodeURI(value)
+					: encodeURIComponent(value);
+			},
+		);
+		return { url, used };
+	}
+
+	/**
+	 * Add parameters to a URL, keeping any query string (and hash) it
+	 * already has. Relative URLs stay relative.
+	 * @param {string} url - The URL
+	 * @param {object} params - The parameters to add
+	 * @returns {string} The merged URL
+	 * @private
+	 */
+	static __mergeSearchParams(url, params) {
+		const merged = new URL(url, document.baseURI);
+		Object.entries(params).forEach(([name, value]) => {
+			merged.searchParams.set(name, value);
+		});
+
+		const isAbsolute = /^([a-z][a-z\d+.-]*:)?\/\//i.test(url);
+		return isAbsolute
+			? merged.href
+			: `${merged.pathname}${merged.search}${merged.hash}`;
+	}
+
+	__resolveHeaders(query) {
+		let headers = this.headers;
+		if (typeof headers === 'function') {
+			headers = headers(query);
+		}
+		if (!headers) {
+			return {};
+		}
+		if (typeof Headers !== 'undefined' && headers instanceof Headers) {
+			return Object.fromEntries(headers.entries());
+		}
+		return { ...headers };
+	}
+
+	/**
+	 * Fetch options for a query from the endpoint (the built-in `http`
+	 * provider).
+	 * @param {string} query - The query
+	 * @param {AbortSignal} signal - The signal for the request
+	 * @returns {Promise<Array>} The options
+	 * @private
+	 */
+	async __requestOptions(query, signal) {
+		let request = this.__buildRequest(query, signal);
+
+		if (this.beforeRequest) {
+			// The hook may modify the request in place or return a new one
+			const result = await this.beforeRequest(request);
+			if (result && typeof result === 'object') {
+				request = result;
+			}
+			if (signal.aborted) return [];
+		}
+
+		let response;
+		try {
+			response = await fetch(request.url, request.init);
+		} catch (error) {
+			// fetch() itself only rejects when the network fails (or on abort)
+			if (error && error.name !== 'AbortError') {
+				error.retryable = true;
+			}
+			throw error;
+		}
+
+		// Only the caller knows whether a newer query has superseded this
+		// one (strict-verify requests aren’t tied to the latest query)
+		if (signal.aborted) return [];
+
+		if (!response.ok) {
+			const error = new Error(`HTTP error! status: ${response.status}`);
+			error.status = response.status;
+			throw error;
+		}
+
+		const data = await response.json();
+		const options = this.__extractOptions(data, query);
+
+		if (this.cacheTtl) {
+			this.__writeCache(query, data);
+		}
+
+		return options;
+	}
+
+	/**
+	 * Pick the provider for this element: the `provider` function
+	 * property, a registered provider named by the `provider` attribute,
+	 * or the built-in `http` (with an endpoint) or `local` provider.
+	 * @returns {Function} The provider
+	 * @private
+	 */
+	__resolveProvider() {
+		if (this.__provider) {
+			return this.__provider;
+		}
+
+		const name = this.getAttribute('provider');
+		if (name) {
+			const provider = DynamicDatalistElement.__providers.get(name);
+			if (!provider) {
+				throw new Error(`No provider registered as "${name}"`);
+			}
+			return provider;
+		}
+
+		return DynamicDatalistElement.__providers.get(
+			this.endpoint ? 'http' : 'local',
+		);
+	}
+
+	async __fetchOptions(query) {
+		// Each new query supersedes the previous one
+		this.__abortPendingRequest();
+		const controller = new AbortController();
+		const { signal } = controller;
+		this.__abortController = controller;
+		this.__latestQuery = query;
+		let attempt = 0;
+
+		try {
+			const provider = this.__resolveProvider();
+			const http =
+				provider === DynamicDatalistElement.__providers.get('http');
+
+			if (this.cacheTtl && http) {
+				const cached = this.__getCachedOptions(query);
+				if (cached) {
+					this.__showResults(query, cached, { cached: true });
+					return;
+				}
+			}
+
+			if (http && DynamicDatalistElement.__isOffline()) {
+				this.__pauseFetch(query);
+				return;
+			}
+
+			this.__setState('loading');
+			this.__announce('loading', { query });
+			this.__emitEvent('loading', { query });
+
+			let options;
+			for (;;) {
+				attempt += 1;
+				try {
+					options = await provider(query, {
+						signal,
+						element: this,
+					});
+					break;
+				} catch (error) {
+					if (
+						this.__isStale(signal, query) ||
+						attempt > this.retries ||
+						!this.__isRetryable(error, http)
+					) {
+						throw error;
+					}
+				}
+
+				// Wait for the connection rather than retrying blindly
+				if (http && DynamicDatalistElement.__isOffline()) {
+					this.__pauseFetch(query);
+					return;
+				}
+				await DynamicDatalistElement.__wait(
+					this.__retryDelayFor(attempt),
+					signal,
+				);
+				if (this.__isStale(signal, query)) return;
+			}
+
+			// Drop late responses so they can't overwrite newer results
+			if (this.__isStale(signal, query)) return;
+
+			if (!Array.isArray(options)) {
+				throw new Error('Provider did not return an options array');
+			}
+
+			this.__showResults(query, options);
+		} catch (error) {
+			// Aborts are reported via the abort event, not as errors
+			if (this.__isStale(signal, query)) return;
+
+			DynamicDatalistElement.__warn(
+				`Failed to fetch options: ${error.message}`,
+			);
+			this.__setState('error');
+			this.__announce('error', { query, error: error.message });
+			this.__emitEvent('error', {
+				error,
+				status: error.status,
+				attempt,
+				query,
+			});
+		} finally {
+			if (this.__abortController === controller) {
+				this.__abortController = null;
+			}
+		}
+	}
+
+	/**
+	 * Whether a failed request is worth retrying: network errors, and
+	 * timeouts, rate limits and server errors for idempotent requests.
+	 * Other errors (bugs included) fail straight away. Custom providers
+	 * opt in by throwing an error with `retryable: true`.
+	 * @param {Error} error - The error the provider threw
+	 * @param {boolean} http - Whether the built-in http provider was used
+	 * @returns {boolean}
+	 * @private
+	 */
+	__isRetryable(error, http) {
+		if (!error || error.name === 'AbortError') return false;
+		if (error.retryable === true) return true;
+		if (!http) return false;
+
+		const { status } = error;
+		if (!status) return false;
+		if (status !== 408 && status !== 429 && status < 500) return false;
+
+		return ['get', 'put'].includes(this.__getMethod());
+	}
+
+	/**
+	 * Exponential backoff with jitter: roughly retryDelay, 2×, 4×, …
+	 * @param {number} attempt - The attempt that just failed (1-based)
+	 * @returns {number} The delay in milliseconds
+	 * @private
+	 */
+	__retryDelayFor(attempt) {
+		const delay = this.retryDelay * 2 ** (attempt - 1);
+		return Math.round(delay * (0.5 + Math.random() / 2));
+	}
+
+	/**
+	 * Resolve after a delay, or as soon as the signal aborts.
+	 * @param {number} delay - The delay in milliseconds
+	 * @param {AbortSignal} signal - Cancels the wait
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	static __wait(delay, signal) {
+		return new Promise((resolve) => {
+			const timer = setTimeout(resolve, delay);
+			signal.addEventListener(
+				'abort',
+				() => {
+					clearTimeout(timer);
+					resolve();
+				},
+				{ once: true },
+			);
+		});
+	}
+
+	static __isOffline() {
+		return typeof navigator !== 'undefined' && navigator.onLine === false;
+	}
+
+	/**
+	 * Hold a query until the browser is back online.
+	 * @param {string} query - The query to send later
+	 * @private
+	 */
+	__pauseFetch(query) {
+		this.__pausedQuery = query;
+		this.__setState('idle');
+	}
+
+	__handleOnline() {
+		const query = this.__pausedQuery;
+		this.__pausedQuery = undefined;
+
+		// Only resume if nothing newer has been asked for since
+		if (query !== undefined && query === this.__latestQuery) {
+			this.__fetchOptions(query);
+		}
+	}
+
+	/**
+	 * Put a query’s options in the list, update the state and announce and
+	 * emit the result.
+	 * @param {string} query - The query
+	 * @param {Array} options - The options for the query
+	 * @param {object} [detail] - Extra update event detail
+	 * @private
+	 */
+	__showResults(query, options, detail = {}) {
+		const results = DynamicDatalistElement.__normalizeOptions(options);
+		this.__highlightQuery = query;
+		const records = this.__updateDatalist(this.__mergeResults(results));
+		// Chips and group limits can hide results, so only count those shown
+		const shown = new Set(records.map((record) => record.value));
+		const visible = results.filter((record) => shown.has(record.value));
+		this.__setState(visible.length ? 'loaded' : 'empty');
+		this.__announceResults(visible, query);
+		this.__emitEvent('update', {
+			options,
+			records,
+			...this.__lastChanges,
+			...detail,
+		});
+		if (!visible.length) {
+			this.__emitEvent('empty', { query });
+		}
+	}
+
+	/**
+	 * Combine a query’s results with the authored or previous options,
+	 * according to the merge mode. The first record for a value wins.
+	 * @param {Array<object>} results - The normalized results
+	 * @returns {Array<object>} The records to show
+	 * @private
+	 */
+	__mergeResults(results) {
+		const initial = this.__captureInitialOptions();
+		let merged;
+
+		switch (this.merge.toLowerCase()) {
+			case 'prepend-initial':
+				merged = [...initial, ...results];
+				break;
+			case 'append-initial':
+				merged = [...results, ...initial];
+				break;
+			case 'accumulate':
+				merged = [...results, ...(this.__lastRecords || initial)];
+				break;
+			default:
+				return results;
+		}
+
+		const seen = new Set();
+		merged = merged.filter((record) => {
+			if (seen.has(record.value)) return false;
+			seen.add(record.value);
+			return true;
+		});
+
+		return this.merge.toLowerCase() === 'accumulate'
+			? merged.slice(0, this.mergeLimit)
+			: merged;
+	}
+
+	/**
+	 * Show the authored options again (e.g. once the input is emptied).
+	 * @returns {boolean} Whether there were authored options to show
+	 * @private
+	 */
+	__showInitialOptions() {
+		const initial = this.__captureInitialOptions();
+		if (!initial.length) return false;
+
+		this.__abortPendingRequest();
+		this.__setState('idle');
+		this.__highlightQuery = '';
+		const options =
+			this.merge.toLowerCase() === 'accumulate'
+				? this.__mergeResults(initial)
+				: initial;
+		const records = this.__updateDatalist(options);
+		this.__emitEvent('update', {
+			options,
+			records,
+			...this.__lastChanges,
+		});
+		return true;
+	}
+
+	/**
+	 * Reflect the request state to the `state` attribute, custom states and
+	 * the input’s `aria-busy`.
+	 * @param {string} state - idle, loading, loaded, empty or error
+	 * @private
+	 */
+	__setState(state) {
+		this.setAttribute('state', state);
+
+		if (this.__$input) {
+			if (state === 'loading') {
+				this.__$input.setAttribute('aria-busy', 'true');
+			} else {
+				this.__$input.removeAttribute('aria-busy');
+			}
+		}
+
+		const states = this.__internals && this.__internals.states;
+		if (states) {
+			DynamicDatalistElement.__states.forEach((name) =>
+				DynamicDatalistElement.__toggleCustomState(
+					states,
+					name,
+					name === state,
+				),
+			);
+		}
+	}
+
+	static __toggleCustomState(states, name, force) {
+		const method = force ? 'add' : 'delete';
+		try {
+			states[method](name);
+		} catch {
+			// Older implementations only accept dashed identifiers
+			states[method](`--${name}`);
+		}
+	}
+
+	/**
+	 * Create the visually hidden live region used for announcements.
+	 * @private
+	 */
+	__setupStatus() {
+		if (this.__$status) return;
+
+		const status = document.createElement('div');
+		status.className = 'dynamic-datalist-status';
+		status.setAttribute('role', 'status');
+		status.setAttribute('aria-live', 'polite');
+		status.setAttribute('aria-atomic', 'true');
+		// Visually hidden, but still read by screen readers
+		status.style.cssText =
+			'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0';
+		this.appendChild(status);
+		this.__$status = status;
+	}
+
+	/**
+	 * Resolve a live region message from the `messages` property, the
+	 * `message-*` attribute or the default, in that order.
+	 * @param {string} type - loading, result, results, empty or error
+	 * @param {object} values - Values for the placeholders
+	 * @returns {string}
+	 * @private
+	 */
+	__message(type, values) {
+		const template =
+			(this.__messages && this.__messages[type]) ??
+			this.getAttribute(`message-${type}`) ??
+			DynamicDatalistElement.__defaultMessages[type];
+
+		if (typeof template === 'function') {
+			return String(template(values));
+		}
+		return template.replace(/\{(\w+)\}/g, (match, name) =>
+			values[name] !== undefined ? String(values[name]) : match,
+		);
+	}
+
+	/**
+	 * Update the live region with a message.
+	 * @param {string} type - loading, result, results, empty or error
+	 * @param {object} [values] - Values for the placeholders
+	 * @private
+	 */
+	__announce(type, values = {}) {
+		if (!this.__$status) return;
+
+		let message = this.__message(type, values);
+		// Identical text isn’t announced again, so vary it
+		if (message && this.__$status.textContent === message) {
+			message += '\u00a0';
+		}
+		this.__$status.textContent = message;
+	}
+
+	__announceResults(records, query) {
+		const count = records.length;
+		if (!count) {
+			this.__announce('empty', { count, query });
+		} else {
+			this.__announce(count === 1 ? 'result' : 'results', {
+				count,
+				query,
+			});
+		}
+	}
+
+	/**
+	 * Resolve a dot path (`hits.hits`) or JSON pointer (`/data/items`)
+	 * against an object.
+	 * @param {any} data - The object to resolve against
+	 * @param {string} path - The path to resolve
+	 * @returns {any} The resolved value or undefined if not found
+	 * @private
+	 */
+	static __resolvePath(data, path) {
+		const segments = path.startsWith('/')
+			? path
+					.slice(1)
+					.split('/')
+					.map((segment) =>
+						segment.replace(/~1/g, '/').replace(/~0/g, '~'),
+					)
+			: path.split('.').filter(Boolean);
+
+		return segments.reduce(
+			(value, segment) =>
+				value !== null && value !== undefined
+					? value[segment]
+					: undefined,
+			data,
+		);
+	}
+
+	__extractOptions(data, query) {
+		const transform = this.transformResponse;
+		const result = transform ? transform(data, query) : data;
+
+		if (Array.isArray(result)) {
+			return result;
+		}
+
+		const options = DynamicDatalistElement.__resolvePath(
+			result,
+			this.optionsPath,
+		);
+
+		if (!Array.isArray(options)) {
+			throw new Error(
+				`No options array found in response at "${this.optionsPath}"`,
+			);
+		}
+
+		return options;
+	}
+
+	/**
+	 * Look up suggestions for a query right away, without waiting for the
+	 * debounce or checking min-length. The input’s value is left alone.
+	 * @param {string} query - The query to look up
+	 * @returns {Promise<void>} Resolves once the options are updated
+	 */
+	search(query) {
+		if (!this.__initialized) return Promise.resolve();
+
+		clearTimeout(this.__debounceTimer);
+		return this.__fetchOptions(String(query ?? ''));
+	}
+
+	/**
+	 * Look up suggestions for the input’s current value right away, e.g.
+	 * after setting it from JavaScript.
+	 * @returns {Promise<void>} Resolves once the options are updated
+	 */
+	refresh() {
+		return this.search(this.__$input ? this.__query() : '');
+	}
+
+	/**
+	 * Wrap each case-insensitive occurrence of the query in the text in a
+	 * `<mark>`. Both are only ever used as text, so this is safe for
+	 * response data.
+	 * @param {string} text - The text to mark up
+	 * @param {string} query - What to mark
+	 * @returns {DocumentFragment}
+	 */
+	static highlightMatches(text, query) {
+		const fragment = document.createDocumentFragment();
+		const value = String(text ?? '');
+		const needle = String(query ?? '').trim();
+		if (!needle) {
+			fragment.append(value);
+			return fragment;
+		}
+
+		const pattern = new RegExp(
+			needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+			'gi',
+		);
+		let last = 0;
+		value.replace(pattern, (match, index) => {
+			const mark = document.createElement('mark');
+			mark.textContent = match;
+			fragment.append(value.slice(last, index), mark);
+			last = index + match.length;
+			return match;
+		});
+		fragment.append(value.slice(last));
+		return fragment;
+	}
+
+	/**
+	 * Look up the option record for a given value from the most recent update.
+	 * @param {string} value - The option value
+	 * @returns {object|undefined} The option record (`value`, `label` and any extra properties)
+	 */
+	getOption(value) {
+		return this.__records ? this.__records.get(value) : undefined;
+	}
+
+	/**
+	 * Normalize a single response option into a record with string `value`
+	 * and `label` properties. Strings and numbers become `{ value, label }`;
+	 * objects keep all of their other properties.
+	 * @param {string|number|object} option - The option from the response
+	 * @returns {object|null} The option record or null if it has no value
+	 * @private
+	 */
+	static __normalizeOption(option) {
+		if (option === null || option === undefined) {
+			return null;
+		}
+
+		if (typeof option !== 'object') {
+			const value = String(option);
+			return { value, label: value };
+		}
+
+		const value = option.value ?? option.label;
+		if (value === null || value === undefined) {
+			return null;
+		}
+
+		return {
+			...option,
+			value: String(value),
+			label: String(option.label ?? value),
+		};
+	}
+
+	static __normalizeOptions(options) {
+		return options
+			.map((option) => DynamicDatalistElement.__normalizeOption(option))
+			.filter(Boolean);
+	}
+
+	__updateDatalist(options) {
+		let records = DynamicDatalistElement.__normalizeOptions(options);
+		// Options that are already chips aren’t suggested again
+		if (this.__chips && this.__chips.size) {
+			records = records.filter(
+				(record) => !this.__chips.has(record.value),
+			);
+		}
+		if (this.groupBy) {
+			records = this.__groupRecords(records);
+		}
+
+		// Only update if we have a reference
+		if (!this.__$datalist) return records;
+
+		this.__captureInitialOptions();
+		this.__displayTexts = this.__disambiguate(records);
+
+		this.__records = new Map(
+			records.map((record) => [record.value, record]),
+		);
+		const previous = this.__recordsByDisplay;
+		this.__recordsByDisplay = new Map(
+			records
+				.slice()
+				.reverse()
+				.map((record) => [this.__displayValue(record), record]),
+		);
+		this.__rememberValues(records);
+		this.__lastChanges = this.__diffOptions(records, previous);
+
+		if (this.__$listbox) {
+			this.__renderListbox(records);
+		}
+
+		this.__validateStrict();
+		this.__lastRecords = records;
+		this.__updateFormValue();
+
+		return records;
+	}
+
+	/**
+	 * Bring the datalist’s `<option>` elements in line with the records,
+	 * keyed by value: unchanged options (and anything other scripts added
+	 * to them) are kept, moved ones are reordered and only the difference
+	 * is inserted or removed, in batches via a DocumentFragment.
+	 * @param {Array<object>} records - The option records, in order
+	 * @param {Map<string, object>} [previous] - The previous records by value
+	 * @returns {{ added: Array<object>, removed: Array<object> }}
+	 * @private
+	 */
+	__diffOptions(records, previous) {
+		const datalist = this.__$datalist;
+		const existing = new Map();
+		const removed = [];
+
+		Array.from(datalist.options).forEach((option) => {
+			if (existing.has(option.value)) {
+				// Duplicates can only be kept once
+				option.remove();
+			} else {
+				existing.set(option.value, option);
+			}
+		});
+
+		const added = [];
+		const nodes = records.map((record) => {
+			const value = this.__displayValue(record);
+			let option = existing.get(value);
+			if (option) {
+				existing.delete(value);
+			} else {
+				option = document.createElement('option');
+				option.value = value;
+				added.push(record);
+			}
+			if (option.textContent !== record.label) {
+				option.textContent = record.label;
+			}
+			this.__setGroupHint(option, record);
+			return option;
+		});
+
+		existing.forEach((option, value) => {
+			removed.push(
+				(previous && previous.get(value)) || {
+					value,
+					label: option.label || option.textContent || value,
+				},
+			);
+			option.remove();
+		});
+
+		// Collect runs of new or moved options and insert each in one go
+		const fragment = document.createDocumentFragment();
+		let next = datalist.querySelector('option');
+		nodes.forEach((option) => {
+			if (option === next) {
+				if (fragment.childNodes.length) {
+					datalist.insertBefore(fragment, next);
+				}
+				next = DynamicDatalistElement.__nextOption(next);
+			} else {
+				fragment.appendChild(option);
+			}
+		});
+		if (fragment.childNodes.length) {
+			datalist.insertBefore(fragment, next);
+		}
+
+		return { added, removed };
+	}
+
+	/**
+	 * Datalists can’t show groups, so hint at the group in the option’s
+	 * label (which browsers show next to its value).
+	 * @param {HTMLOptionElement} option - The datalist option
+	 * @param {object} record - Its record
+	 * @private
+	 */
+	__setGroupHint(option, record) {
+		const group = this.__groupOf(record);
+		if (group) {
+			option.setAttribute('label', `${record.label} — ${group}`);
+			option.dataset.group = group;
+		} else if (option.dataset.group !== undefined) {
+			// Only undo a hint we added
+			option.removeAttribute('label');
+			delete option.dataset.group;
+		}
+	}
+
+	/**
+	 * The group name of a record, or '' when grouping is off or the
+	 * record has none.
+	 * @param {object} record - The option record
+	 * @returns {string}
+	 * @private
+	 */
+	__groupOf(record) {
+		if (!this.groupBy) return '';
+
+		const group = DynamicDatalistElement.__resolvePath(
+			record,
+			this.groupBy,
+		);
+		return group === null || group === undefined ? '' : String(group);
+	}
+
+	/**
+	 * Sort records into their groups (listed groups first, then the rest
+	 * in order of appearance) and apply the per-group limit.
+	 * @param {Array<object>} records - The option records
+	 * @returns {Array<object>} The grouped records
+	 * @private
+	 */
+	__groupRecords(records) {
+		const groups = new Map();
+		records.forEach((record) => {
+			const group = this.__groupOf(record);
+			if (!groups.has(group)) {
+				groups.set(group, []);
+			}
+			groups.get(group).push(record);
+		});
+
+		const order = (this.groupOrder || '')
+			.split(',')
+			.map((name) => name.trim())
+			.filter(Boolean);
+		const rank = (group) => {
+			const index = order.indexOf(group);
+			return index === -1 ? order.length : index;
+		};
+		const limit = this.groupLimit;
+
+		return Array.from(groups.keys())
+			.sort((a, b) => rank(a) - rank(b))
+			.flatMap((group) => {
+				const members = groups.get(group);
+				return limit ? members.slice(0, limit) : members;
+			});
+	}
+
+	static __nextOption(option) {
+		let next = option.nextElementSibling;
+		while (next && next.localName !== 'option') {
+			next = next.nextElementSibling;
+		}
+		return next;
+	}
+
+	/**
+	 * Remember the authored options (before the first update replaces
+	 * them), so they can be merged with results and restored on reset.
+	 * @returns {Array<object>} The authored option records
+	 * @private
+	 */
+	__captureInitialOptions() {
+		if (!this.__initialOptions && this.__$datalist) {
+			this.__initialOptions = this.__datalistRecords();
+		}
+		return this.__initialOptions || [];
+	}
+
+	/**
+	 * Records for the `<option>` elements currently in the datalist.
+	 * @returns {Array<object>}
+	 * @private
+	 */
+	__datalistRecords() {
+		return Array.from(this.__$datalist.options).map((option) => ({
+			value: option.value,
+			label: option.label || option.textContent || option.value,
+		}));
+	}
+
+	__rememberValues(records) {
+		if (!this.__knownValues) {
+			this.__knownValues = new Set();
+		}
+		records.forEach((record) =>
+			this.__knownValues.add(this.__displayValue(record)),
+		);
+	}
+
+	/**
+	 * The text an option puts in the visible input: its label when a
+	 * hidden field holds the value, otherwise the value itself.
+	 * @param {object} record - The option record
+	 * @returns {string}
+	 * @private
+	 */
+	__displayValue(record) {
+		if (!this.__$hidden) return record.value;
+
+		return (
+			(this.__displayTexts && this.__displayTexts.get(record)) ||
+			record.label
+		);
+	}
+
+	/**
+	 * With a hidden field, the label is all the input (and the browser)
+	 * has to go on, so options sharing a label couldn’t be told apart and
+	 * the wrong value would be submitted. Those options show their value
+	 * after the label instead.
+	 * @param {Array<object>} records - The option records
+	 * @returns {Map<object, string>} The display text of the records that need one
+	 * @private
+	 */
+	__disambiguate(records) {
+		const texts = new Map();
+		if (!this.__$hidden) return texts;
+
+		const values = new Map();
+		records.forEach(({ label, value }) => {
+			if (!values.has(label)) {
+				values.set(label, new Set());
+			}
+			values.get(label).add(value);
+		});
+
+		const shared = new Set();
+		records.forEach((record) => {
+			if (values.get(record.label).size > 1) {
+				texts.set(record, `${record.label} (${record.value})`);
+				shared.add(record.label);
+			}
+		});
+		shared.forEach((label) => {
+			DynamicDatalistElement.__warn(
+				`Several options are labelled "${label}"; showing their values to tell them apart.`,
+			);
+		});
+		return texts;
+	}
+
+	/**
+	 * Whether a value is one of the current or previously fetched options.
+	 * @param {string} value - The value
+	 * @returns {boolean}
+	 * @private
+	 */
+	__isKnownValue(value) {
+		return (
+			(this.__knownValues && this.__knownValues.has(value)) ||
+			this.__valueMatchesOption(value)
+		);
+	}
+
+	/**
+	 * In strict mode, flag the input as invalid (via constraint validation)
+	 * unless its value is empty or one of the suggested options.
+	 * @private
+	 */
+	__validateStrict() {
+		const input = this.__$input;
+		if (!input || typeof input.setCustomValidity !== 'function') return;
+
+		const values = this.tokenize ? this.__tokens() : [this.__value()];
+		const valid =
+			!this.strict ||
+			values.every((value) => !value || this.__isKnownValue(value));
+
+		// Leave validity alone unless we flagged it, so app messages survive
+		if (!valid) {
+			input.setCustomValidity(this.strictMessage);
+			this.__hasStrictError = true;
+		} else if (this.__hasStrictError) {
+			input.setCustomValidity('');
+			this.__hasStrictError = false;
+		}
+
+		this.__updateValidity();
+	}
+
+	/**
+	 * Mirror the input’s validity (plus the element’s own `required`) onto
+	 * the element, so the form sees it and `:invalid` matches the element.
+	 * @private
+	 */
+	__updateValidity() {
+		if (!this.__internals || !this.__$input) return;
+
+		const input = this.__$input;
+		const flags = {};
+		let message = '';
+
+		if (input.validity && !input.validity.valid) {
+			DynamicDatalistElement.__validityFlags.forEach((flag) => {
+				if (input.validity[flag]) {
+					flags[flag] = true;
+				}
+			});
+			message = input.validationMessage;
+		} else if (this.required && !this.__value() && !this.values.length) {
+			flags.valueMissing = true;
+			message = 'Please fill out this field.';
+		}
+
+		if (Object.keys(flags).length) {
+			this.__internals.setValidity(flags, message, input);
+		} else {
+			this.__internals.setValidity({});
+		}
+	}
+
+	/**
+	 * Store the current value and suggestions with the form, so they can be
+	 * restored on back/forward navigation.
+	 * @private
+	 */
+	__updateFormValue() {
+		if (!this.__internals || !this.__$input) return;
+
+		let value = this.__$hidden ? this.__$hidden.value : this.__value();
+		if (this.__chips) {
+			value = this.values.join(this.separator);
+		}
+		const chips = this.__chips
+			? Array.from(this.__chips.values(), ({ record }) => record)
+			: [];
+		const save = (records, chipRecords) =>
+			JSON.stringify({
+				value: this.__value(),
+				hiddenValue: this.__$hidden ? this.__$hidden.value : null,
+				records,
+				chips: chipRecords,
+			});
+
+		let state;
+		try {
+			state = save(this.__lastRecords || [], chips);
+		} catch {
+			// Option data may not serialize (cycles, DOM nodes, BigInts…);
+			// the value and label are enough to restore the list
+			const slim = ({ value: optionValue, label }) => ({
+				value: optionValue,
+				label,
+			});
+			state = save((this.__lastRecords || []).map(slim), chips.map(slim));
+		}
+		this.__internals.setFormValue(value, state);
+	}
+
+	/**
+	 * Called when the owning form is reset: restore the authored options
+	 * and clear the selection.
+	 */
+	formResetCallback() {
+		clearTimeout(this.__debounceTimer);
+		this.__abortPendingRequest();
+		this.__latestQuery = undefined;
+		this.__resetSelection();
+		this.__setState('idle');
+		this.__clearChips();
+		this.__highlightQuery = '';
+
+		if (this.__initialOptions) {
+			this.__updateDatalist(this.__initialOptions);
+		}
+
+		// The input resets after this callback runs
+		setTimeout(() => {
+			this.__validateStrict();
+			this.__updateFormValue();
+		});
+	}
+
+	/**
+	 * Called when the browser restores form state (e.g. on back/forward
+	 * navigation): bring back the fetched options and the selection.
+	 * @param {string} state - The state saved by `__updateFormValue()`
+	 */
+	formStateRestoreCallback(state) {
+		let saved;
+		try {
+			saved = JSON.parse(state);
+		} catch {
+			return;
+		}
+		if (!saved || !this.__$input) return;
+
+		if (this.__chips && Array.isArray(saved.chips)) {
+			this.__clearChips();
+			saved.chips.forEach((record) => this.__addChip(record));
+		}
+		if (Array.isArray(saved.records)) {
+			this.__updateDatalist(saved.records);
+		}
+		this.__setValue(saved.value || '');
+		if (this.__$hidden && saved.hiddenValue !== null) {
+			this.__$hidden.value = saved.hiddenValue;
+		}
+		this.__selectedValue = this.__findOption(this.__value())
+			? this.__value()
+			: null;
+		this.__validateStrict();
+		this.__updateFormValue();
+	}
+
+	/**
+	 * The form the element is associated with.
+	 * @type {HTMLFormElement|null}
+	 */
+	get form() {
+		return this.__internals ? this.__internals.form : null;
+	}
+
+	/**
+	 * The element’s validity, mirroring the wrapped input.
+	 * @type {ValidityState|undefined}
+	 */
+	get validity() {
+		return this.__internals ? this.__internals.validity : undefined;
+	}
+
+	get validationMessage() {
+		return this.__internals ? this.__internals.validationMessage : '';
+	}
+
+	get willValidate() {
+		return this.__internals ? this.__internals.willValidate : false;
+	}
+
+	checkValidity() {
+		return this.__internals ? this.__internals.checkValidity() : true;
+	}
+
+	reportValidity() {
+		return this.__internals ? this.__internals.reportValidity() : true;
+	}
+
+	/**
+	 * Ask the provider whether the current value is a real option, so values
+	 * that were never suggested (e.g. pre-filled ones) can still be valid.
+	 * @returns {Promise<boolean>} Whether the value was verified
+	 * @private
+	 */
+	async __verifyValue() {
+		const value = this.__value();
+		// In tokenize mode each token is an entry of its own
+		const unknown = (this.tokenize ? this.__tokens() : [value]).filter(
+			(entry) => entry && !this.__isKnownValue(entry),
+		);
+		if (!unknown.length) return true;
+
+		if (this.__verifying && this.__verifying.value === value) {
+			return this.__verifying.promise;
+		}
+
+		const promise = (async () => {
+			try {
+				const provider = this.__resolveProvider();
+				const verified = await Promise.all(
+					unknown.map((entry) => this.__verifyEntry(provider, entry)),
+				);
+				return verified.every(Boolean);
+			} catch (error) {
+				DynamicDatalistElement.__warn(
+					`Failed to verify value: ${error.message}`,
+				);
+				return false;
+			} finally {
+				this.__verifying = null;
+				this.__validateStrict();
+			}
+		})();
+
+		this.__verifying = { value, promise };
+		return promise;
+	}
+
+	/**
+	 * Look one entry up with the provider and remember it if it is a real
+	 * option.
+	 * @param {Function} provider - The provider
+	 * @param {string} entry - The value or token
+	 * @returns {Promise<boolean>} Whether it matched an option
+	 * @private
+	 */
+	async __verifyEntry(provider, entry) {
+		const options = await provider(entry, {
+			signal: new AbortController().signal,
+			element: this,
+		});
+		const records = DynamicDatalistElement.__normalizeOptions(
+			Array.isArray(options) ? options : [],
+		);
+		const match = records.find(
+			(record) => this.__displayValue(record) === entry,
+		);
+		if (match) {
+			this.__rememberValues([match]);
+		}
+		return Boolean(match);
+	}
+
+	__handleValidation(e) {
+		if (!this.strict) return;
+
+		this.__validateStrict();
+
+		if (!this.strictVerify) return;
+
+		if (e.type === 'change') {
+			this.__verifyValue();
+		} else if (e.type === 'invalid') {
+			// Form submission was blocked; re-check and submit again if the
+			// value checks out. Only an unknown value is worth re-checking,
+			// and re-submitting must not start another round.
+			const { form } = this.__$input;
+			if (!form || !this.__hasStrictError || this.__resubmitting) return;
+
+			const submitter = this.__submitter;
+			this.__verifyValue().then((verified) => {
+				if (!verified || !this.__$input.validity.valid) return;
+
+				this.__resubmitting = true;
+				try {
+					form.requestSubmit(
+						submitter && submitter.form === form ? submitter : null,
+					);
+				} finally {
+					this.__resubmitting = false;
+				}
+			});
+		}
+	}
+
+	/**
+	 * Remember the button that is submitting the form, so a submission
+	 * blocked for verification can be repeated with it. Validation runs in
+	 * the same task as the click, so it is forgotten right after.
+	 * @param {MouseEvent} e - The click event
+	 * @private
+	 */
+	__handleSubmitterClick(e) {
+		const submitter =
+			e.target && e.target.closest
+				? e.target.closest('button, input')
+				: null;
+		// Buttons submit by default; inputs only as submit or image
+		if (!submitter || !['submit', 'image'].includes(submitter.type)) {
+			return;
+		}
+		if (!this.__$input || submitter.form !== this.__$input.form) return;
+
+		this.__submitter = submitter;
+		setTimeout(() => {
+			this.__submitter = null;
+		});
+	}
+
+	__valueMatchesOption(value) {
+		if (!this.__$datalist || !value) {
+			return false;
+		}
+
+		return Array.from(this.__$datalist.options).some(
+			(option) => option.value === value,
+		);
+	}
+
+	/**
+	 * Find the record for a value among the current options, falling back
+	 * to authored `<option>` elements that didn’t come from a response.
+	 * @param {string} value - The value
+	 * @returns {object|undefined} The option record
+	 * @private
+	 */
+	__findOption(value) {
+		if (!this.__valueMatchesOption(value)) {
+			return undefined;
+		}
+
+		const record =
+			this.__recordsByDisplay && this.__recordsByDisplay.get(value);
+		if (record) {
+			return record;
+		}
+
+		const option = Array.from(this.__$datalist.options).find(
+			(el) => el.value === value,
+		);
+		return { value, label: option.label || option.textContent || value };
+	}
+
+	/**
+	 * Find the hidden value field (a child `<input type="hidden">`, named by
+	 * `value-name` if set) or create one when `value-name` is set.
+	 * @private
+	 */
+	__setupHiddenInput() {
+		const name = this.valueName;
+		let hidden;
+
+		if (name) {
+			// Other hidden fields (e.g. CSRF tokens) must be left alone
+			hidden = this.querySelector(
+				`input[type="hidden"][name="${CSS.escape(name)}"]`,
+			);
+			if (!hidden) {
+				hidden = document.createElement('input');
+				hidden.type = 'hidden';
+				hidden.name = name;
+				this.appendChild(hidden);
+			}
+		} else {
+			hidden = this.querySelector('input[type="hidden"]');
+		}
+
+		this.__$hidden = hidden;
+		this.__initialHiddenValue = hidden ? hidden.value : '';
+	}
+
+	__handleFormReset(e) {
+		// formResetCallback() covers this where ElementInternals is supported
+		if (this.__internals && this.form) return;
+		if (!this.__$input || e.target !== this.__$input.form) return;
+
+		// reset fires before the form is reset
+		setTimeout(() => this.__resetSelection());
+	}
+
+	__resetSelection() {
+		this.__selectedValue = null;
+		// Hidden inputs don’t reset themselves
+		if (this.__$hidden) {
+			this.__$hidden.value = this.__initialHiddenValue;
+		}
+	}
+
+	/**
+	 * Reconcile the hidden field with the visible text when the page is
+	 * restored (e.g. from the back/forward cache or form restoration).
+	 * @private
+	 */
+	__handlePageShow() {
+		if (!this.__$hidden || !this.__$input) return;
+
+		const value = this.__value();
+		const option = this.__findOption(value);
+		if (option) {
+			this.__selectedValue = value;
+			this.__$hidden.value = option.value;
+		} else if (!value) {
+			this.__selectedValue = null;
+			this.__$hidden.value = '';
+		}
+	}
+
+	/**
+	 * Announce when the value becomes one of the suggested options, whether
+	 * it was typed, picked with the keyboard or clicked.
+	 * @private
+	 */
+	__handleSelection(e) {
+		if (this.__chips) {
+			this.__handleChipSelection(e);
+			return;
+		}
+
+		// Tokens are announced as they are picked, see __pickOption()
+		if (this.tokenize) {
+			this.__updateFormValue();
+			this.__updateValidity();
+			return;
+		}
+
+		const value = this.__value();
+		const option = this.__findOption(value);
+
+		if (!option) {
+			this.__selectedValue = null;
+			// Edited text no longer identifies an option
+			if (this.__$hidden) {
+				this.__$hidden.value = '';
+			}
+			this.__updateFormValue();
+			this.__updateValidity();
+			return;
+		}
+
+		// input and change both fire for a single pick
+		if (value === this.__selectedValue) return;
+		this.__selectedValue = value;
+
+		if (this.__$hidden) {
+			this.__$hidden.value = option.value;
+		}
+		this.__updateFormValue();
+		this.__updateValidity();
+		this.__emitSelect(option);
+	}
+
+	/**
+	 * In multiple mode, turn a picked option into a chip and clear the
+	 * input for the next one. Typing an option’s exact text only adds it
+	 * once committed (on change), not on every keystroke.
+	 * @param {Event} [e] - The input or change event
+	 * @private
+	 */
+	__handleChipSelection(e) {
+		const typing =
+			e &&
+			e.type === 'input' &&
+			/^(insert|delete)/.test(e.inputType) &&
+			e.inputType !== 'insertReplacementText';
+		const option = typing ? null : this.__findOption(this.__value());
+
+		if (option) {
+			this.__setValue('');
+			this.__emitSelect(option);
+			this.__addValue(option);
+		}
+		this.__updateFormValue();
+		this.__updateValidity();
+	}
+
+	__emitSelect(option) {
+		this.__emitEvent('select', {
+			value: option.value,
+			label: option.label,
+			data: option.data,
+			option,
+		});
+	}
+
+	/**
+	 * Create the chip list before the input and take over its name, so
+	 * the chips are what gets submitted.
+	 * @private
+	 */
+	__setupChips() {
+		const input = this.__$input;
+		if (this.__chips || !input) return;
+
+		this.__fieldName = this.valueName || input.name;
+		if (!this.valueName) {
+			input.removeAttribute('name');
+		}
+
+		const list = document.createElement('ul');
+		list.className = 'dynamic-datalist-chips';
+		input.before(list);
+		this.__$chips = list;
+		this.__chips = new Map();
+
+		if (this.serialize.toLowerCase() === 'join') {
+			const joined = document.createElement('input');
+			joined.type = 'hidden';
+			joined.name = this.__fieldName;
+			list.after(joined);
+			this.__$joined = joined;
+		}
+	}
+
+	/**
+	 * Add an option as a chip, unless it already is one, and let the app
+	 * know.
+	 * @param {object} record - The option record
+	 * @returns {boolean} Whether a chip was added
+	 * @private
+	 */
+	__addValue(record) {
+		if (!this.__addChip(record)) return false;
+
+		this.__emitEvent('add', {
+			value: record.value,
+			label: record.label,
+			option: record,
+		});
+		// Drop the new chip from the current suggestions
+		this.__updateDatalist(this.__lastRecords || []);
+		return true;
+	}
+
+	__addChip(record) {
+		if (this.__chips.has(record.value)) return false;
+
+		const chip = document.createElement('li');
+		chip.className = 'dynamic-datalist-chip';
+		chip.dataset.value = record.value;
+
+		const label = document.createElement('span');
+		label.textContent = record.label;
+
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'dynamic-datalist-chip-remove';
+		button.setAttribute(
+			'aria-label',
+			this.__message('remove', { label: record.label }),
+		);
+		button.textContent = '×';
+		button.addEventListener('click', () => {
+			this.__removeValue(record.value);
+			this.__$input.focus();
+		});
+
+		chip.append(label, button);
+		if (!this.__$joined && this.__fieldName) {
+			const field = document.createElement('input');
+			field.type = 'hidden';
+			field.name = this.__fieldName;
+			field.value = record.value;
+			chip.append(field);
+		}
+
+		this.__$chips.appendChild(chip);
+		this.__chips.set(record.value, { record, chip });
+		this.__syncChips();
+		return true;
+	}
+
+	/**
+	 * Remove a chip by value.
+	 * @param {string} value - The chip’s value
+	 * @private
+	 */
+	__removeValue(value) {
+		const entry = this.__chips.get(value);
+		if (!entry) return;
+
+		entry.chip.remove();
+		this.__chips.delete(value);
+		this.__syncChips();
+		this.__emitEvent('remove', {
+			value,
+			label: entry.record.label,
+			option: entry.record,
+		});
+	}
+
+	__clearChips() {
+		if (!this.__chips) return;
+
+		this.__chips.forEach(({ chip }) => chip.remove());
+		this.__chips.clear();
+		this.__syncChips();
+	}
+
+	__syncChips() {
+		if (this.__$joined) {
+			this.__$joined.value = this.values.join(this.separator);
+		}
+		this.__updateFormValue();
+		this.__updateValidity();
+	}
+
+	/**
+	 * The current query: the whole value, or in tokenize mode the token
+	 * under the caret.
+	 * @returns {string}
+	 * @private
+	 */
+	__query() {
+		return this.tokenize ? this.__currentToken().text : this.__value();
+	}
+
+	/**
+	 * Find the token under the caret, with its position in the value
+	 * (excluding surrounding whitespace).
+	 * @returns {{ text: string, start: number, end: number }}
+	 * @private
+	 */
+	__currentToken() {
+		const value = this.__value();
+		const { separator } = this;
+		const caret = this.__caret();
+
+		const before = value.slice(0, caret).lastIndexOf(separator);
+		const start = before === -1 ? 0 : before + separator.length;
+		const after = value.indexOf(separator, caret);
+		const end = after === -1 ? value.length : after;
+
+		const raw = value.slice(start, end);
+		const text = raw.trim();
+		if (!text) {
+			return { text, start: caret, end: caret };
+		}
+		return {
+			text,
+			start: start + raw.length - raw.trimStart().length,
+			end: end - (raw.length - raw.trimEnd().length),
+		};
+	}
+
+	__tokens() {
+		return this.__value()
+			.split(this.separator)
+			.map((token) => token.trim())
+			.filter(Boolean);
+	}
+
+	/**
+	 * Replace the token under the caret with a value. At the end of the
+	 * value, a separator is added so the next token can be typed.
+	 * @param {string} value - The replacement
+	 * @private
+	 */
+	__replaceToken(value) {
+		const input = this.__$input;
+		const { start, end } = this.__currentToken();
+		const { separator } = this;
+		const current = this.__value();
+		const rest = current.slice(end);
+		let suffix = '';
+		if (!rest.trim()) {
+			suffix = separator.trim() ? `${separator} ` : separator;
+		}
+
+		if (this.__isContentEditable()) {
+			// Replace just the token’s text, keeping any markup around it
+			const range = this.__rangeAt(start, end);
+			const text = document.createTextNode(value + suffix);
+			range.deleteContents();
+			range.insertNode(text);
+			range.setStart(text, text.length);
+			range.collapse(true);
+			const selection = document.getSelection();
+			selection.removeAllRanges();
+			selection.addRange(range);
+			return;
+		}
+
+		input.value = current.slice(0, start) + value + suffix + rest;
+		const caret = start + value.length + suffix.length;
+		if (typeof input.setSelectionRange === 'function') {
+			input.setSelectionRange(caret, caret);
+		}
+	}
+
+	/**
+	 * Whether the field is a contenteditable host rather than a form
+	 * control. Its text stands in for the value.
+	 * @returns {boolean}
+	 * @private
+	 */
+	__isContentEditable() {
+		return (
+			Boolean(this.__$input) &&
+			this.__$input.hasAttribute('contenteditable') &&
+			this.__$input.getAttribute('contenteditable') !== 'false'
+		);
+	}
+
+	__value() {
+		return this.__isContentEditable()
+			? this.__$input.textContent
+			: this.__$input.value;
+	}
+
+	__setValue(value) {
+		if (this.__isContentEditable()) {
+			this.__$input.textContent = value;
+		} else {
+			this.__$input.value = value;
+		}
+	}
+
+	/**
+	 * The caret’s position in the value. In a contenteditable host it is
+	 * measured from the selection; without one, it is at the end.
+	 * @returns {number}
+	 * @private
+	 */
+	__caret() {
+		const input = this.__$input;
+		if (!this.__isContentEditable()) {
+			return typeof input.selectionStart === 'number'
+				? input.selectionStart
+				: input.value.length;
+		}
+
+		const selection = document.getSelection();
+		if (
+			!selection ||
+			!selection.rangeCount ||
+			!input.contains(selection.focusNode)
+		) {
+			return input.textContent.length;
+		}
+		const range = document.createRange();
+		range.selectNodeContents(input);
+		range.setEnd(selection.focusNode, selection.focusOffset);
+		return range.toString().length;
+	}
+
+	/**
+	 * A range over the contenteditable host’s text between two positions
+	 * in its value, however that text is split across nodes.
+	 * @param {number} start - The start position
+	 * @param {number} end - The end position
+	 * @returns {Range}
+	 * @private
+	 */
+	__rangeAt(start, end) {
+		const input = this.__$input;
+		const range = document.createRange();
+		range.selectNodeContents(input);
+		range.collapse(false);
+
+		const walker = document.createTreeWalker(input, NodeFilter.SHOW_TEXT);
+		let offset = 0;
+		let started = false;
+		for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+			const { length } = node;
+			if (!started && start <= offset + length) {
+				range.setStart(node, start - offset);
+				started = true;
+			}
+			if (started && end <= offset + length) {
+				range.setEnd(node, end - offset);
+				return range;
+			}
+			offset += length;
+		}
+		return range;
+	}
+
+	/**
+	 * Suggest for the current value whenever it changes, however it was
+	 * entered (typing, paste, dictation, autofill…). IME composition is
+	 * left to finish first.
+	 * @param {InputEvent} [e] - The input event
+	 * @private
+	 */
+	__handleInput(e) {
+		if (this.__composing || (e && e.isComposing)) return;
+
+		this.__lastInputValue = this.__value();
+		this.__handleQuery(this.__query());
+	}
+
+	__handleCompositionStart() {
+		this.__composing = true;
+	}
+
+	__handleCompositionEnd() {
+		this.__composing = false;
+		this.__handleInput();
+	}
+
+	/**
+	 * Fallback for environments that change the value without firing
+	 * input events.
+	 * @param {KeyboardEvent} e - The keyup event
+	 * @private
+	 */
+	__handleKeyup(e) {
+		// Ignore arrow keys, tab, enter, escape, home and end
+		const ignored = e.key
+			? DynamicDatalistElement.__navigationKeys.includes(e.key)
+			: [38, 40, 9, 13, 27, 36, 35].includes(e.which || e.keyCode);
+		if (ignored) return;
+
+		const value = this.__value();
+		// Already handled by an input event
+		if (this.__composing || value === this.__lastInputValue) return;
+
+		this.__handleQuery(this.__query());
+	}
+
+	/**
+	 * Fetch suggestions for a value typed into the input, unless it is an
+	 * option that was just picked or is too short.
+	 * @param {string} value - The query (the value, or the current token)
+	 * @private
+	 */
+	__handleQuery(value) {
+		// Selecting an existing option (via mouse or keyboard) should not re-fetch
+		if (this.__valueMatchesOption(value)) {
+			clearTimeout(this.__debounceTimer);
+			return;
+		}
+
+		clearTimeout(this.__debounceTimer);
+
+		if (value.length < this.minLength) {
+			if (!value && this.__showInitialOptions()) return;
+			if (this.clearBelowMin) {
+				this.__clearOptions(value);
+			}
+			return;
+		}
+
+		this.__scheduleFetch(value);
+	}
+
+	/**
+	 * Rate-limit fetches according to the strategy. Debounce waits for a
+	 * pause in typing; throttle fetches at most once per interval, always
+	 * finishing with the latest value.
+	 * @param {string} value - The query to fetch
+	 * @private
+	 */
+	__scheduleFetch(value) {
+		const delay = this.debounce;
+		const run = () => {
+			this.__lastFetchTime = Date.now();
+			this.__fetchOptions(value);
+		};
+
+		if (this.strategy.toLowerCase() === 'throttle') {
+			const elapsed = Date.now() - (this.__lastFetchTime || 0);
+			if (elapsed >= delay) {
+				run();
+			} else {
+				this.__debounceTimer = setTimeout(run, delay - elapsed);
+			}
+			return;
+		}
+
+		this.__debounceTimer = setTimeout(run, delay);
+	}
+
+	/**
+	 * Cancel any pending request and empty the datalist.
+	 * @param {string} query - The (too short) query that caused the clear
+	 * @private
+	 */
+	__clearOptions(query) {
+		this.__abortPendingRequest();
+		this.__setState('idle');
+		if (!this.__$datalist || !this.__$datalist.options.length) return;
+
+		this.__updateDatalist([]);
+		if (this.__$status) {
+			this.__$status.textContent = '';
+		}
+		this.__emitEvent('clear', { query });
+	}
+
+	__isListbox() {
+		// Neither textareas, contenteditable hosts, single tokens nor
+		// marked-up rows can use a native datalist
+		return (
+			this.render.toLowerCase() === 'listbox' ||
+			this.tokenize ||
+			this.__isMultiline() ||
+			this.highlight ||
+			Boolean(this.optionTemplate || this.__template())
+		);
+	}
+
+	__template() {
+		return Array.from(this.children).find(
+			(child) => child.localName === 'template',
+		);
+	}
+
+	/**
+	 * Whether the field can hold several lines: a textarea or a
+	 * contenteditable host.
+	 * @returns {boolean}
+	 * @private
+	 */
+	__isMultiline() {
+		return (
+			Boolean(this.__$input) &&
+			(this.__$input.localName === 'textarea' ||
+				this.__isContentEditable())
+		);
+	}
+
+	/**
+	 * Turn the input into an ARIA combobox that controls the component’s
+	 * own listbox popup. The datalist stays (it still backs option lookups)
+	 * but is unlinked so the browser doesn’t show its UI as well.
+	 * @private
+	 */
+	__setupListbox() {
+		const input = this.__$input;
+		if (this.__$listbox || !input) return;
+
+		const listbox = document.createElement('div');
+		listbox.id = `dynamic-datalist-listbox-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+		listbox.className = 'dynamic-datalist-listbox';
+		listbox.setAttribute('role', 'listbox');
+		listbox.hidden = true;
+		// Keep focus in the input while clicking an option
+		listbox.addEventListener('mousedown', (e) => e.preventDefault());
+		listbox.addEventListener('click', (e) => {
+			const option = e.target.closest('[role="option"]');
+			if (option) {
+				this.__pickOption(option);
+			}
+		});
+		this.appendChild(listbox);
+		this.__$listbox = listbox;
+		this.__activeIndex = -1;
+
+		input.setAttribute('role', 'combobox');
+		input.setAttribute('aria-autocomplete', 'list');
+		input.setAttribute('aria-expanded', 'false');
+		input.setAttribute('aria-controls', listbox.id);
+
+		// Runs after __createOrFindDatalist() has linked the datalist
+		requestAnimationFrame(() => {
+			if (this.__$listbox !== listbox) return;
+			input.removeAttribute('list');
+			if (this.__$datalist) {
+				this.__renderListbox(
+					this.__lastRecords || this.__datalistRecords(),
+				);
+			}
+		});
+	}
+
+	__teardownListbox() {
+		const input = this.__$input;
+		if (!this.__$listbox) return;
+
+		this.__$listbox.remove();
+		this.__$listbox = null;
+		['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls'].forEach(
+			(name) => input.removeAttribute(name),
+		);
+		input.removeAttribute('aria-activedescendant');
+		if (this.__$datalist) {
+			input.setAttribute('list', this.__$datalist.id);
+		}
+	}
+
+	/**
+	 * Rebuild the listbox options from the records. The popup opens when
+	 * there is something to show and the input has focus.
+	 * @param {Array<object>} records - The option records
+	 * @private
+	 */
+	__renderListbox(records) {
+		const listbox = this.__$listbox;
+		listbox.innerHTML = '';
+		let container = listbox;
+		let currentGroup = '';
+
+		records.forEach((record, index) => {
+			const group = this.__groupOf(record);
+			if (group !== currentGroup) {
+				currentGroup = group;
+				container = group
+					? this.__createListboxGroup(group, listbox.children.length)
+					: listbox;
+			}
+
+			const option = document.createElement('div');
+			option.id = `${listbox.id}-option-${index}`;
+			option.className = 'dynamic-datalist-option';
+			option.setAttribute('role', 'option');
+			option.setAttribute('aria-selected', 'false');
+			option.dataset.value = this.__displayValue(record);
+			option.appendChild(this.__renderOption(record));
+			container.appendChild(option);
+		});
+
+		this.__setActiveOption(-1);
+		if (records.length && document.activeElement === this.__$input) {
+			this.__openListbox();
+		} else {
+			this.__closeListbox();
+		}
+	}
+
+	/**
+	 * Build the content of a listbox option: from `optionTemplate`, the
+	 * `<template>` child or, failing those, the label.
+	 * @param {object} record - The option record
+	 * @returns {Node}
+	 * @private
+	 */
+	__renderOption(record) {
+		const query = this.highlight ? this.__highlightQuery || '' : '';
+		const highlight = (text) =>
+			DynamicDatalistElement.highlightMatches(text, query);
+
+		if (this.optionTemplate) {
+			const content = this.optionTemplate(record, { query, highlight });
+			return content instanceof Node
+				? content
+				: document.createTextNode(content ?? record.label);
+		}
+
+		const template = this.__template();
+		if (!template) {
+			return highlight(record.label);
+		}
+
+		const content = template.content.cloneNode(true);
+		content.querySelectorAll('*').forEach((element) => {
+			DynamicDatalistElement.__fillFields(element, record, highlight);
+		});
+		return content;
+	}
+
+	/**
+	 * Attributes a template field may never set: they can run script or
+	 * restyle the page.
+	 * @private
+	 */
+	static __unsafeAttributes = ['srcdoc', 'srcset', 'style'];
+
+	/**
+	 * Attributes whose values are URLs, and so need a safe scheme.
+	 * @private
+	 */
+	static __urlAttributes = [
+		'href',
+		'src',
+		'action',
+		'formaction',
+		'poster',
+		'cite',
+		'data',
+		'background',
+		'ping',
+		'xlink:href',
+	];
+
+	/**
+	 * Parse a URL from the response and allow only http(s) and mailto
+	 * (and inline images for an image’s `src`). The URL parser’s own
+	 * reading is used, so tabs, newlines and control characters can’t
+	 * sneak a `javascript:` URL past the check.
+	 * @param {string} text - The URL
+	 * @param {string} attribute - The attribute it is for
+	 * @param {Element} element - The element it is for
+	 * @returns {string|null} The URL, or null if it isn’t safe
+	 * @private
+	 */
+	static __safeUrl(text, attribute, element) {
+		let url;
+		try {
+			url = new URL(text, document.baseURI);
+		} catch {
+			return null;
+		}
+
+		if (['http:', 'https:', 'mailto:'].includes(url.protocol)) {
+			return text;
+		}
+		if (
+			attribute === 'src' &&
+			element.localName === 'img' &&
+			/^data:image\//i.test(url.href)
+		) {
+			return text;
+		}
+		return null;
+	}
+
+	/**
+	 * Fill a stamped template element from the record: `data-field` sets
+	 * its text and `data-field-{attribute}` sets an attribute. Elements
+	 * whose text field is empty are hidden.
+	 * @param {Element} element - The stamped element
+	 * @param {object} record - The option record
+	 * @param {Function} highlight - Marks the query in a string
+	 * @private
+	 */
+	static __fillFields(element, record, highlight) {
+		const field = (path) => {
+			const value = DynamicDatalistElement.__resolvePath(record, path);
+			return value === null || value === undefined ? '' : String(value);
+		};
+
+		Array.from(element.attributes).forEach(({ name, value }) => {
+			if (name === 'data-field') {
+				const text = field(value);
+				element.replaceChildren(highlight(text));
+				element.hidden = !text;
+				return;
+			}
+			if (!name.startsWith('data-field-')) return;
+
+			const attribute = name.slice('data-field-'.length);
+			let text = field(value);
+			// Never let a response add event handlers, styles or script URLs
+			if (
+				!text ||
+				attribute.startsWith('on') ||
+				DynamicDatalistElement.__unsafeAttributes.includes(attribute)
+			) {
+				return;
+			}
+			if (DynamicDatalistElement.__urlAttributes.includes(attribute)) {
+				text = DynamicDatalistElement.__safeUrl(
+					text,
+					attribute,
+					element,
+				);
+				if (!text) return;
+			}
+			element.setAttribute(attribute, text);
+		});
+	}
+
+	/**
+	 * Add a `role="group"` to the listbox, labelled by a heading.
+	 * @param {string} name - The group name
+	 * @param {number} index - Used to make the heading’s id unique
+	 * @returns {HTMLElement} The group, to add options to
+	 * @private
+	 */
+	__createListboxGroup(name, index) {
+		const group = document.createElement('div');
+		group.className = 'dynamic-datalist-group';
+		group.setAttribute('role', 'group');
+
+		const heading = document.createElement('div');
+		heading.id = `${this.__$listbox.id}-group-${index}`;
+		heading.className = 'dynamic-datalist-group-label';
+		heading.setAttribute('role', 'presentation');
+		heading.textContent = name;
+		group.setAttribute('aria-labelledby', heading.id);
+
+		group.appendChild(heading);
+		this.__$listbox.appendChild(group);
+		return group;
+	}
+
+	__listboxOptions() {
+		return this.__$listbox
+			? Array.from(this.__$listbox.querySelectorAll('[role="option"]'))
+			: [];
+	}
+
+	__openListbox() {
+		this.__$listbox.hidden = false;
+		this.__$input.setAttribute('aria-expanded', 'true');
+	}
+
+	__closeListbox() {
+		if (!this.__$listbox) return;
+
+		this.__$listbox.hidden = true;
+		this.__$input.setAttribute('aria-expanded', 'false');
+		this.__setActiveOption(-1);
+	}
+
+	/**
+	 * Highlight an option and point `aria-activedescendant` at it, so focus
+	 * stays in the input while screen readers follow the active option.
+	 * @param {number} index - The option index, or -1 for none
+	 * @private
+	 */
+	__setActiveOption(index) {
+		const options = this.__listboxOptions();
+		this.__activeIndex = index;
+
+		options.forEach((option, i) => {
+			option.setAttribute('aria-selected', String(i === index));
+		});
+
+		const active = options[index];
+		if (active) {
+			this.__$input.setAttribute('aria-activedescendant', active.id);
+			if (typeof active.scrollIntoView === 'function') {
+				active.scrollIntoView({ block: 'nearest' });
+			}
+		} else {
+			this.__$input.removeAttribute('aria-activedescendant');
+		}
+	}
+
+	/**
+	 * Put an option’s value in the input and fire input and change, so
+	 * selection, hidden field and validation work as for a datalist pick.
+	 * @param {HTMLElement} option - The listbox option
+	 * @private
+	 */
+	__pickOption(option) {
+		const { value } = option.dataset;
+		if (this.tokenize) {
+			this.__replaceToken(value);
+			const record = this.__findOption(value);
+			if (record) {
+				this.__emitSelect(record);
+			}
+		} else {
+			this.__setValue(value);
+		}
+		this.__closeListbox();
+		this.__$input.dispatchEvent(new Event('input', { bubbles: true }));
+		this.__$input.dispatchEvent(new Event('change', { bubbles: true }));
+	}
+
+	__handleKeydown(e) {
+		// Backspace in an empty input removes the last chip
+		if (
+			this.__chips &&
+			e.key === 'Backspace' &&
+			!this.__value() &&
+			this.__chips.size
+		) {
+			this.__removeValue(this.values[this.values.length - 1]);
+			return;
+		}
+
+		if (!this.__$listbox) return;
+
+		const options = this.__listboxOptions();
+		const open = !this.__$listbox.hidden;
+		const last = options.length - 1;
+
+		switch (e.key) {
+			case 'ArrowDown':
+			case 'ArrowUp': {
+				// Leave line-by-line movement in a textarea alone
+				if (!options.length || (!open && this.__isMultiline())) {
+					return;
+				}
+				e.preventDefault();
+				if (!open) {
+					this.__openListbox();
+					// Alt+Down only opens the popup
+					if (e.altKey) return;
+				}
+				const step = e.key === 'ArrowDown' ? 1 : -1;
+				let index = this.__activeIndex + step;
+				if (this.__activeIndex < 0) {
+					index = step > 0 ? 0 : last;
+				} else if (index > last) {
+					index = 0;
+				} else if (index < 0) {
+					index = last;
+				}
+				this.__setActiveOption(index);
+				break;
+			}
+			case 'Home':
+			case 'End':
+				// Otherwise these move the caret as usual
+				if (!open || !options.length) return;
+				e.preventDefault();
+				this.__setActiveOption(e.key === 'Home' ? 0 : last);
+				break;
+			case 'Enter':
+				if (!open || this.__activeIndex < 0) return;
+				// Don’t submit the form
+				e.preventDefault();
+				this.__pickOption(options[this.__activeIndex]);
+				break;
+			case 'Escape':
+				if (!open) return;
+				e.preventDefault();
+				this.__closeListbox();
+				break;
+		}
+	}
+
+	__addObservers() {
+		this.__boundHandleKeyup = this.__handleKeyup.bind(this);
+		this.__boundHandleInput = this.__handleInput.bind(this);
+		this.__boundHandleCompositionStart =
+			this.__handleCompositionStart.bind(this);
+		this.__boundHandleCompositionEnd =
+			this.__handleCompositionEnd.bind(this);
+		this.__boundHandleSelection = this.__handleSelection.bind(this);
+		this.__boundHandleValidation = this.__handleValidation.bind(this);
+		this.__boundHandleKeydown = this.__handleKeydown.bind(this);
+		this.__boundCloseListbox = this.__closeListbox.bind(this);
+		if (this.__$input) {
+			this.__$input.addEventListener('input', this.__boundHandleInput);
+			this.__$input.addEventListener(
+				'compositionstart',
+				this.__boundHandleCompositionStart,
+			);
+			this.__$input.addEventListener(
+				'compositionend',
+				this.__boundHandleCompositionEnd,
+			);
+			this.__$input.addEventListener('keyup', this.__boundHandleKeyup);
+			this.__$input.addEventListener(
+				'input',
+				this.__boundHandleSelection,
+			);
+			this.__$input.addEventListener(
+				'change',
+				this.__boundHandleSelection,
+			);
+			['input', 'change', 'invalid'].forEach((type) => {
+				this.__$input.addEventListener(
+					type,
+					this.__boundHandleValidation,
+				);
+			});
+			this.__$input.addEventListener(
+				'keydown',
+				this.__boundHandleKeydown,
+			);
+			this.__$input.addEventListener('blur', this.__boundCloseListbox);
+		}
+
+		this.__boundHandleFormReset = this.__handleFormReset.bind(this);
+		this.__boundHandlePageShow = this.__handlePageShow.bind(this);
+		this.__boundHandleOnline = this.__handleOnline.bind(this);
+		this.__boundHandleSubmitterClick =
+			this.__handleSubmitterClick.bind(this);
+		document.addEventListener('reset', this.__boundHandleFormReset);
+		document.addEventListener(
+			'click',
+			this.__boundHandleSubmitterClick,
+			true,
+		);
+		window.addEventListener('pageshow', this.__boundHandlePageShow);
+		window.addEventListener('online', this.__boundHandleOnline);
+
+		// Delegate so included fields can be anywhere and change over time
+		this.__boundHandleIncludedFieldChange =
+			this.__handleIncludedFieldChange.bind(this);
+		document.addEventListener(
+			'change',
+			this.__boundHandleIncludedFieldChange,
+		);
+	}
+
+	__init() {
+		if (this.__initialized || !this.__validateAttributes()) {
+			return;
+		}
+		this.__initialized = true;
+
+		if (this.multiple) {
+			this.__setupChips();
+		} else {
+			this.__setupHiddenInput();
+		}
+		this.__setupStatus();
+		this.__setState('idle');
+		this.__createOrFindDatalist();
+		if (this.__isListbox()) {
+			this.__setupListbox();
+		}
 		this.__addObservers();
+
+		// Check any pre-filled value once the datalist has been found
+		requestAnimationFrame(() => {
+			this.__validateStrict();
+			this.__updateFormValue();
+			if (!this.strict) return;
+			if (this.strictVerify) {
+				this.__verifyValue();
+			}
+		});
+
 		this.__emitEvent('ready');
 	}
 }
@@ -1,6 +1,118 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DynamicDatalistElement } from '../dynamic-datalist.js';
 
+/**
+ * Create, connect and wait for a fully initialized element.
+ * @param {object} [attributes] - Attributes to set on the element
+ * @param {string} [markup] - The element’s content (a text input by default)
+ * @param {object} [properties] - Properties to set before connecting (e.g. `items` or `provider`)
+ * @param {HTMLElement} [parent] - Where to connect the element
+ * @returns {Promise<{ element: HTMLElement, input: HTMLElement }>} The element and its field
+ */
+async function createReadyElement(
+	attributes = { endpoint: '/api/test' },
+	markup = '<input type="text" />',
+	properties = {},
+	parent = document.body,
+) {
+	const element = document.createElement('dynamic-datalist');
+	Object.assign(element, properties);
+	Object.entries(attributes).forEach(([name, value]) => {
+		element.setAttribute(name, value);
+	});
+	element.innerHTML = markup;
+	const input = element.querySelector(
+		'input:not([type="hidden"]), textarea, [contenteditable]:not([contenteditable="false"])',
+	);
+	const ready = new Promise((resolve) => {
+		element.addEventListener('dynamic-datalist:ready', resolve, {
+			once: true,
+		});
+	});
+	parent.appendChild(element);
+	await ready;
+	await new Promise(requestAnimationFrame);
+	return { element, input };
+}
+
+/**
+ * Create a ready element whose options come from a provider function.
+ * @param {Function} provider - The provider
+ * @param {object} [attributes] - Attributes to set on the element
+ * @returns {Promise<{ element: HTMLElement, input: HTMLElement }>}
+ */
+function createProviderElement(
+	provider,
+	attributes = { endpoint: '/api/test' },
+) {
+	return createReadyElement(attributes, '<input type="text" />', {
+		provider,
+	});
+}
+
+/**
+ * The values of an element’s datalist options, in order.
+ * @param {HTMLElement} element - The element
+ * @returns {Array<string>}
+ */
+function values(element) {
+	return Array.from(element.__$datalist.options).map(
+		(option) => option.value,
+	);
+}
+
+/**
+ * Type a value and wait for the debounced fetch to settle.
+ * @param {HTMLInputElement} input - The input to type into
+ * @param {string} value - The value to type
+ */
+async function typeAndWait(input, value) {
+	input.value = value;
+	input.dispatchEvent(new KeyboardEvent('keyup', { which: 65 }));
+	await new Promise((resolve) => setTimeout(resolve, 300));
+	await Promise.resolve();
+	await new Promise(requestAnimationFrame);
+}
+
+/**
+ * Minimal ElementInternals stand-in (happy-dom doesn’t implement it).
+ */
+class FakeInternals {
+	constructor(host) {
+		this.host = host;
+		this.validity = { valid: true };
+		this.validationMessage = '';
+		this.states = new Set();
+	}
+
+	get form() {
+		return this.host.closest('form');
+	}
+
+	get willValidate() {
+		return true;
+	}
+
+	setFormValue(value, state) {
+		this.value = value;
+		this.state = state;
+	}
+
+	setValidity(flags, message = '', anchor) {
+		this.validity = { ...flags, valid: !Object.keys(flags).length };
+		this.validationMessage = message;
+		this.anchor = anchor;
+	}
+
+	checkValidity() {
+		return this.validity.valid;
+	}
+
+	reportValidity() {
+		return this.validity.valid;
+	}
+}
+
 describe('DynamicDatalistElement', () => {
 	let element;
 	let input;
@@ -179,7 +291,9 @@ describe('DynamicDatalistElement', () => {
 		await Promise.resolve();
 		await new Promise(requestAnimationFrame);
 
-		expect(fetchSpy).toHaveBeenCalledWith('/api/test?query=test');
+		expect(fetchSpy).toHaveBeenCalledWith('/api/test?query=test', {
+			signal: expect.any(AbortSignal),
+		});
 		fetchSpy.mockRestore();
 	}, 15000);
 
@@ -216,6 +330,7 @@ describe('DynamicDatalistElement', () => {
 			method: 'POST',
 			headers: { 'Content-Type': 'application/json' },
 			body: JSON.stringify({ query: 'test' }),
+			signal: expect.any(AbortSignal),
 		});
 		fetchSpy.mockRestore();
 	}, 15000);
@@ -393,6 +508,21 @@ describe('DynamicDatalistElement', () => {
 
 		removeEventListenerSpy.mockRestore();
 	});
+
+	it('should abort a pending request on disconnect', async () => {
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		let signal;
+		vi.spyOn(global, 'fetch').mockImplementation((url, init) => {
+			signal = init.signal;
+			return new Promise(() => {});
+		});
+
+		element.search('test');
+		element.remove();
+
+		expect(signal.aborted).toBe(true);
+	});
 	describe('Property Reflection', () => {
 		describe('endpoint property', () => {
 			it('should reflect attribute to property', () => {
@@ -561,3 +691,3683 @@ describe('Lazy Property Upgrade', () => {
 		uninitializedElement.remove();
 	});
 });
+
+describe('Option Objects', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement());
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	it('should use the label as option text and value as option value', () => {
+		element.__updateDatalist([
+			{ value: 'SEA', label: 'Seattle–Tacoma Intl' },
+			{ value: 'PDX' },
+		]);
+
+		const options = element.__$datalist.children;
+		expect(options.length).toBe(2);
+		expect(options[0].value).toBe('SEA');
+		expect(options[0].textContent).toBe('Seattle–Tacoma Intl');
+		expect(options[1].value).toBe('PDX');
+		expect(options[1].textContent).toBe('PDX');
+	});
+
+	it('should support a mix of strings and objects', () => {
+		element.__updateDatalist(['Alpha', { value: 'Beta', label: 'B' }]);
+
+		const options = element.__$datalist.children;
+		expect(options[0].value).toBe('Alpha');
+		expect(options[1].value).toBe('Beta');
+		expect(options[1].textContent).toBe('B');
+	});
+
+	it('should skip options without a value', () => {
+		element.__updateDatalist([null, { data: {} }, 'Alpha']);
+
+		expect(element.__$datalist.children.length).toBe(1);
+	});
+
+	it('should keep extra data retrievable via getOption()', () => {
+		element.__updateDatalist([
+			{
+				value: 'SEA',
+				label: 'Seattle–Tacoma Intl',
+				group: 'Airports',
+				data: { id: 42 },
+			},
+		]);
+
+		const record = element.getOption('SEA');
+		expect(record.label).toBe('Seattle–Tacoma Intl');
+		expect(record.group).toBe('Airports');
+		expect(record.data).toEqual({ id: 42 });
+		expect(element.getOption('PDX')).toBeUndefined();
+	});
+
+	it('should include normalized records in the update event', async () => {
+		vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({
+				options: ['Alpha', { value: 'SEA', label: 'Seattle' }],
+			}),
+		});
+
+		const updateHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:update', updateHandler);
+
+		await typeAndWait(input, 'se');
+
+		const { detail } = updateHandler.mock.calls[0][0];
+		expect(detail.options).toEqual([
+			'Alpha',
+			{ value: 'SEA', label: 'Seattle' },
+		]);
+		expect(detail.records).toEqual([
+			{ value: 'Alpha', label: 'Alpha' },
+			{ value: 'SEA', label: 'Seattle' },
+		]);
+	}, 15000);
+});
+
+describe('Response Mapping', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement());
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function mockResponse(json) {
+		return vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => json,
+		});
+	}
+
+	it('should default optionsPath to "options"', () => {
+		expect(element.optionsPath).toBe('options');
+		element.optionsPath = 'hits.hits';
+		expect(element.getAttribute('options-path')).toBe('hits.hits');
+	});
+
+	it('should resolve dot paths', () => {
+		expect(
+			DynamicDatalistElement.__resolvePath(
+				{ hits: { hits: ['a'] } },
+				'hits.hits',
+			),
+		).toEqual(['a']);
+		expect(
+			DynamicDatalistElement.__resolvePath({}, 'hits.hits'),
+		).toBeUndefined();
+	});
+
+	it('should resolve JSON pointers', () => {
+		expect(
+			DynamicDatalistElement.__resolvePath(
+				{ data: { 'a/b': ['x'], items: ['y'] } },
+				'/data/a~1b',
+			),
+		).toEqual(['x']);
+		expect(
+			DynamicDatalistElement.__resolvePath(
+				{ data: { items: ['y'] } },
+				'/data/items',
+			),
+		).toEqual(['y']);
+	});
+
+	it('should use options-path to find options', async () => {
+		element.setAttribute('options-path', '/data/items');
+		mockResponse({ data: { items: ['one', 'two'] } });
+
+		await typeAndWait(input, 'o');
+
+		expect(element.__$datalist.children.length).toBe(2);
+		expect(element.__$datalist.children[1].value).toBe('two');
+	}, 15000);
+
+	it('should use transformResponse to map the response', async () => {
+		const transform = vi.fn((json) =>
+			json.geonames.map((place) => ({
+				value: place.name,
+				label: `${place.name}, ${place.country}`,
+			})),
+		);
+		element.transformResponse = transform;
+		mockResponse({ geonames: [{ name: 'Paris', country: 'France' }] });
+
+		await typeAndWait(input, 'par');
+
+		expect(transform).toHaveBeenCalledWith(
+			{ geonames: [{ name: 'Paris', country: 'France' }] },
+			'par',
+		);
+		expect(element.__$datalist.children[0].value).toBe('Paris');
+		expect(element.__$datalist.children[0].textContent).toBe(
+			'Paris, France',
+		);
+	}, 15000);
+
+	it('should resolve options-path against a transformed object', async () => {
+		element.optionsPath = 'results';
+		element.transformResponse = (json) => json.payload;
+		mockResponse({ payload: { results: ['a', 'b'] } });
+
+		await typeAndWait(input, 'a');
+
+		expect(element.__$datalist.children.length).toBe(2);
+	}, 15000);
+
+	it('should emit an error event when no options are found', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		mockResponse({ results: [] });
+
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await typeAndWait(input, 'a');
+
+		expect(errorHandler).toHaveBeenCalled();
+		expect(errorHandler.mock.calls[0][0].detail.error.message).toContain(
+			'"options"',
+		);
+	}, 15000);
+
+	it('should preserve transformResponse set before connection', () => {
+		const early = document.createElement('dynamic-datalist');
+		const transform = () => [];
+		Object.defineProperty(early, 'transformResponse', {
+			value: transform,
+			writable: true,
+			configurable: true,
+			enumerable: true,
+		});
+		document.body.appendChild(early);
+		expect(early.transformResponse).toBe(transform);
+		early.remove();
+	});
+});
+
+describe('Request Cancellation', () => {
+	let element;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element } = await createReadyElement());
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function deferredFetch() {
+		const requests = [];
+		vi.spyOn(global, 'fetch').mockImplementation((url, init) => {
+			return new Promise((resolve, reject) => {
+				const request = { url, signal: init.signal, resolve };
+				init.signal.addEventListener('abort', () => {
+					const error = new Error('Aborted');
+					error.name = 'AbortError';
+					reject(error);
+				});
+				requests.push(request);
+			});
+		});
+		return requests;
+	}
+
+	function respond(request, options) {
+		request.resolve({ ok: true, json: async () => ({ options }) });
+	}
+
+	it('should abort the previous request when a new query starts', async () => {
+		const requests = deferredFetch();
+
+		element.search('sea');
+		element.search('seattle');
+
+		expect(requests[0].signal.aborted).toBe(true);
+		expect(requests[1].signal.aborted).toBe(false);
+	});
+
+	it('should fire an abort event instead of an error event', async () => {
+		deferredFetch();
+		const abortHandler = vi.fn();
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:abort', abortHandler);
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		const first = element.search('sea');
+		element.search('seattle');
+		await first;
+
+		expect(abortHandler).toHaveBeenCalledTimes(1);
+		expect(abortHandler.mock.calls[0][0].detail.query).toBe('sea');
+		expect(errorHandler).not.toHaveBeenCalled();
+	});
+
+	it('should drop late responses for stale queries', async () => {
+		// Simulate a transport that ignores the abort signal
+		const resolvers = [];
+		vi.spyOn(global, 'fetch').mockImplementation(
+			() => new Promise((resolve) => resolvers.push(resolve)),
+		);
+
+		const first = element.search('sea');
+		const second = element.search('seattle');
+
+		resolvers[1]({
+			ok: true,
+			json: async () => ({ options: ['Seattle'] }),
+		});
+		await second;
+		resolvers[0]({ ok: true, json: async () => ({ options: ['Sea'] }) });
+		await first;
+
+		expect(element.__$datalist.children.length).toBe(1);
+		expect(element.__$datalist.children[0].value).toBe('Seattle');
+	});
+
+	it('should not fire abort once a request has completed', async () => {
+		const requests = deferredFetch();
+		const abortHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:abort', abortHandler);
+
+		const first = element.search('sea');
+		respond(requests[0], ['Seattle']);
+		await first;
+		element.search('seat');
+
+		expect(abortHandler).not.toHaveBeenCalled();
+	});
+});
+
+describe('Response Cache', () => {
+	let element;
+	let fetchSpy;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		DynamicDatalistElement.clearCache();
+		({ element } = await createReadyElement({
+			endpoint: '/api/cache',
+			'cache-ttl': '60000',
+		}));
+		fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockImplementation(async (url) => ({
+				ok: true,
+				json: async () => ({
+					options: ['Seattle', 'Seaside', `Result for ${url}`],
+				}),
+			}));
+	});
+
+	afterEach(() => {
+		element.remove();
+		vi.useRealTimers();
+	});
+
+	it('should reflect cache attributes as properties', () => {
+		expect(element.cacheTtl).toBe(60000);
+		expect(element.cacheSize).toBe(50);
+		expect(element.cacheNarrow).toBe(false);
+
+		element.cacheSize = 10;
+		element.cacheNarrow = true;
+		expect(element.getAttribute('cache-size')).toBe('10');
+		expect(element.hasAttribute('cache-narrow')).toBe(true);
+
+		element.cacheNarrow = false;
+		expect(element.hasAttribute('cache-narrow')).toBe(false);
+	});
+
+	it('should not cache when cache-ttl is not set', async () => {
+		element.removeAttribute('cache-ttl');
+
+		await element.search('sea');
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it('should serve repeated queries from the cache', async () => {
+		const updateHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:update', updateHandler);
+
+		await element.search('sea');
+		await element.search('seat');
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+		expect(updateHandler.mock.calls[2][0].detail.cached).toBe(true);
+		expect(element.__$datalist.children[2].value).toBe(
+			'Result for /api/cache?query=sea',
+		);
+	});
+
+	it('should expire entries after the TTL', async () => {
+		const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+		await element.search('sea');
+
+		now.mockReturnValue(1000 + 60001);
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it('should evict the least recently used entry', async () => {
+		element.cacheSize = 2;
+
+		await element.search('a');
+		await element.search('b');
+		await element.search('a');
+		await element.search('c');
+		expect(fetchSpy).toHaveBeenCalledTimes(3);
+
+		await element.search('a');
+		expect(fetchSpy).toHaveBeenCalledTimes(3);
+		await element.search('b');
+		expect(fetchSpy).toHaveBeenCalledTimes(4);
+	});
+
+	it('should share the cache between instances with the same endpoint', async () => {
+		const { element: other } = await createReadyElement({
+			endpoint: '/api/cache',
+			'cache-ttl': '60000',
+		});
+
+		await element.search('sea');
+		await other.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(other.__$datalist.children.length).toBe(3);
+		other.remove();
+	});
+
+	it('should narrow a cached result set locally with cache-narrow', async () => {
+		element.cacheNarrow = true;
+
+		await element.search('sea');
+		await element.search('seat');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(element.__$datalist.children.length).toBe(1);
+		expect(element.__$datalist.children[0].value).toBe('Seattle');
+	});
+
+	it('should clear the cache for a single endpoint', async () => {
+		await element.search('sea');
+		DynamicDatalistElement.clearCache('/api/cache');
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+});
+
+describe('Fetch Timing', () => {
+	let element;
+	let input;
+	let fetchSpy;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement());
+		fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: ['one', 'two'] }),
+		});
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		element.remove();
+	});
+
+	function type(value) {
+		input.value = value;
+		input.dispatchEvent(new KeyboardEvent('keyup', { which: 65 }));
+	}
+
+	it('should reflect timing attributes as properties', () => {
+		expect(element.minLength).toBe(1);
+		expect(element.debounce).toBe(250);
+		expect(element.strategy).toBe('debounce');
+		expect(element.clearBelowMin).toBe(false);
+
+		element.minLength = 3;
+		element.debounce = 100;
+		element.strategy = 'throttle';
+		element.clearBelowMin = true;
+
+		expect(element.getAttribute('min-length')).toBe('3');
+		expect(element.getAttribute('debounce')).toBe('100');
+		expect(element.getAttribute('strategy')).toBe('throttle');
+		expect(element.hasAttribute('clear-below-min')).toBe(true);
+	});
+
+	it('should fall back to defaults for invalid values', () => {
+		element.setAttribute('min-length', 'abc');
+		element.setAttribute('debounce', '-5');
+		expect(element.minLength).toBe(1);
+		expect(element.debounce).toBe(250);
+	});
+
+	it('should warn about invalid timing attributes', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.setAttribute('debounce', 'soon');
+		element.setAttribute('strategy', 'sometimes');
+
+		element.__validateAttributes();
+
+		expect(warnSpy).toHaveBeenCalledWith(
+			expect.stringContaining('Invalid debounce "soon"'),
+		);
+		expect(warnSpy).toHaveBeenCalledWith(
+			expect.stringContaining('Invalid strategy "sometimes"'),
+		);
+	});
+
+	it('should use the configured debounce delay', () => {
+		element.debounce = 500;
+		type('te');
+
+		vi.advanceTimersByTime(499);
+		expect(fetchSpy).not.toHaveBeenCalled();
+		vi.advanceTimersByTime(1);
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not fetch below min-length', () => {
+		element.minLength = 3;
+		type('te');
+		vi.advanceTimersByTime(300);
+		expect(fetchSpy).not.toHaveBeenCalled();
+
+		type('tes');
+		vi.advanceTimersByTime(300);
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should throttle fetches when strategy is throttle', () => {
+		element.strategy = 'throttle';
+		element.debounce = 200;
+
+		type('a');
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(50);
+		type('ab');
+		vi.advanceTimersByTime(50);
+		type('abc');
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(100);
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+		expect(fetchSpy.mock.calls[1][0]).toBe('/api/test?query=abc');
+	});
+
+	it('should clear the datalist below min-length when enabled', () => {
+		element.minLength = 2;
+		element.clearBelowMin = true;
+		element.__updateDatalist(['one', 'two']);
+
+		const clearHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:clear', clearHandler);
+
+		type('o');
+
+		expect(element.__$datalist.children.length).toBe(0);
+		expect(clearHandler).toHaveBeenCalledTimes(1);
+		expect(clearHandler.mock.calls[0][0].detail.query).toBe('o');
+
+		type('');
+		expect(clearHandler).toHaveBeenCalledTimes(1);
+	});
+
+	it('should keep the datalist below min-length by default', () => {
+		element.minLength = 2;
+		element.__updateDatalist(['one', 'two']);
+
+		type('o');
+
+		expect(element.__$datalist.children.length).toBe(2);
+	});
+});
+
+describe('Request Customization', () => {
+	let element;
+	let fetchSpy;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element } = await createReadyElement());
+		fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: [] }),
+		});
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	it('should reflect the credentials attribute', () => {
+		expect(element.credentials).toBe(null);
+		element.credentials = 'include';
+		expect(element.getAttribute('credentials')).toBe('include');
+	});
+
+	it('should pass credentials to fetch', async () => {
+		element.credentials = 'include';
+
+		await element.search('test');
+
+		expect(fetchSpy.mock.calls[0][1].credentials).toBe('include');
+	});
+
+	it('should send custom headers with GET requests', async () => {
+		element.headers = { Authorization: 'Bearer abc' };
+
+		await element.search('test');
+
+		expect(fetchSpy.mock.calls[0][1].headers).toEqual({
+			Authorization: 'Bearer abc',
+		});
+	});
+
+	it('should merge custom headers into POST requests', async () => {
+		element.method = 'post';
+		element.headers = () => ({ 'X-CSRF-Token': 'token' });
+
+		await element.search('test');
+
+		expect(fetchSpy.mock.calls[0][1].headers).toEqual({
+			'Content-Type': 'application/json',
+			'X-CSRF-Token': 'token',
+		});
+	});
+
+	it('should accept a Headers instance', async () => {
+		element.headers = new Headers({ 'X-Test': '1' });
+
+		await element.search('test');
+
+		const headers = new Headers(fetchSpy.mock.calls[0][1].headers);
+		expect(headers.get('x-test')).toBe('1');
+	});
+
+	it('should let beforeRequest modify the request in place', async () => {
+		element.beforeRequest = (request) => {
+			request.url += '&locale=en';
+			request.init.mode = 'cors';
+		};
+
+		await element.search('test');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/api/test?query=test&locale=en',
+		);
+		expect(fetchSpy.mock.calls[0][1].mode).toBe('cors');
+	});
+
+	it('should let an async beforeRequest replace the request', async () => {
+		const hook = vi.fn(async (request) => ({
+			url: '/api/other',
+			init: { ...request.init, method: 'POST', body: 'q=test' },
+		}));
+		element.beforeRequest = hook;
+
+		await element.search('test');
+
+		expect(hook.mock.calls[0][0].query).toBe('test');
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/other');
+		expect(fetchSpy.mock.calls[0][1].body).toBe('q=test');
+	});
+
+	it('should warn about invalid credentials', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.credentials = 'always';
+
+		element.__validateAttributes();
+
+		expect(warnSpy).toHaveBeenCalledWith(
+			expect.stringContaining('Invalid credentials "always"'),
+		);
+	});
+});
+
+describe('Extra Request Parameters', () => {
+	let element;
+	let input;
+	let form;
+	let fetchSpy;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		form = document.createElement('form');
+		form.innerHTML = `
+			<select name="country">
+				<option value="us">US</option>
+				<option value="ca" selected>Canada</option>
+			</select>
+			<input type="checkbox" name="exact" value="yes" />
+		`;
+		document.body.appendChild(form);
+
+		element = document.createElement('dynamic-datalist');
+		element.setAttribute('endpoint', '/api/test');
+		input = document.createElement('input');
+		input.type = 'text';
+		input.name = 'city';
+		element.appendChild(input);
+		form.appendChild(element);
+		await new Promise((resolve) => {
+			element.addEventListener('dynamic-datalist:ready', resolve, {
+				once: true,
+			});
+		});
+		await new Promise(requestAnimationFrame);
+
+		fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: ['one'] }),
+		});
+	});
+
+	afterEach(() => {
+		form.remove();
+	});
+
+	it('should parse query-string and JSON params', () => {
+		expect(
+			DynamicDatalistElement.__parseParams('limit=10&locale=en'),
+		).toEqual({ limit: '10', locale: 'en' });
+		expect(DynamicDatalistElement.__parseParams('{"limit": 10}')).toEqual({
+			limit: 10,
+		});
+		expect(DynamicDatalistElement.__parseParams(null)).toEqual({});
+	});
+
+	it('should reflect an object params property as JSON', () => {
+		element.params = { limit: 10 };
+		expect(element.getAttribute('params')).toBe('{"limit":10}');
+	});
+
+	it('should add static params to GET requests', async () => {
+		element.params = 'limit=10&locale=en';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/api/test?limit=10&locale=en&query=sea',
+		);
+	});
+
+	it('should add static params to POST bodies', async () => {
+		element.method = 'post';
+		element.params = '{"limit": 10}';
+
+		await element.search('sea');
+
+		expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({
+			limit: 10,
+			query: 'sea',
+		});
+	});
+
+	it('should include the current values of other fields', async () => {
+		element.includeFields = 'country, exact';
+
+		await element.search('sea');
+		form.elements.exact.checked = true;
+		form.elements.country.value = 'us';
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/api/test?country=ca&exact=&query=sea',
+		);
+		expect(fetchSpy.mock.calls[1][0]).toBe(
+			'/api/test?country=us&exact=yes&query=sea',
+		);
+	});
+
+	it('should find included fields by selector', async () => {
+		const outside = document.createElement('input');
+		outside.id = 'region';
+		outside.value = 'west';
+		document.body.appendChild(outside);
+		element.includeFields = '#region';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/api/test?region=west&query=sea',
+		);
+		outside.remove();
+	});
+
+	it('should not let extra params override the query', async () => {
+		element.params = 'query=nope';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=sea');
+	});
+
+	it('should clear and re-fetch when an included field changes', async () => {
+		element.includeFields = 'country';
+		element.refetchOnChange = true;
+		element.__updateDatalist(['Toronto']);
+		input.value = 'to';
+
+		form.elements.country.value = 'us';
+		form.elements.country.dispatchEvent(
+			new Event('change', { bubbles: true }),
+		);
+
+		expect(element.__$datalist.children.length).toBe(0);
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?country=us&query=to');
+	});
+
+	it('should not re-fetch on change unless refetch-on-change is set', () => {
+		element.includeFields = 'country';
+		input.value = 'to';
+
+		form.elements.country.dispatchEvent(
+			new Event('change', { bubbles: true }),
+		);
+
+		expect(fetchSpy).not.toHaveBeenCalled();
+	});
+});
+
+describe('URL Templates and Methods', () => {
+	let element;
+	let fetchSpy;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element } = await createReadyElement());
+		fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: [] }),
+		});
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	it('should expand {query} in the endpoint', async () => {
+		element.endpoint = '/api/users/{query}/suggestions';
+
+		await element.search('a b/c');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/api/users/a%20b%2Fc/suggestions',
+		);
+	});
+
+	it('should expand {+query} without encoding reserved characters', async () => {
+		element.endpoint = '/api/{+query}';
+
+		await element.search('a/b');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/a/b');
+	});
+
+	it('should expand extra parameters used in the template', async () => {
+		element.endpoint = '/api/{type}/search';
+		element.params = 'type=city&limit=5';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/api/city/search?limit=5&query=sea',
+		);
+	});
+
+	it('should merge with an existing query string', async () => {
+		element.endpoint = '/search?type=city#results';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'/search?type=city&query=sea#results',
+		);
+	});
+
+	it('should keep absolute endpoints absolute', async () => {
+		element.endpoint = 'https://api.example.com/search?type=city';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			'https://api.example.com/search?type=city&query=sea',
+		);
+	});
+
+	it('should support PUT and PATCH requests', async () => {
+		element.method = 'put';
+		await element.search('sea');
+		element.method = 'PATCH';
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][1].method).toBe('PUT');
+		expect(fetchSpy.mock.calls[1][1].method).toBe('PATCH');
+		expect(fetchSpy.mock.calls[1][1].body).toBe('{"query":"sea"}');
+	});
+
+	it('should send a form-encoded body with enctype="form"', async () => {
+		element.method = 'post';
+		element.enctype = 'form';
+		element.params = 'limit=5';
+
+		await element.search('sea side');
+
+		expect(fetchSpy.mock.calls[0][1].headers['Content-Type']).toBe(
+			'application/x-www-form-urlencoded',
+		);
+		expect(fetchSpy.mock.calls[0][1].body).toBe('limit=5&query=sea+side');
+	});
+
+	it('should fall back to GET for unsupported methods', async () => {
+		element.method = 'delete';
+
+		await element.search('sea');
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=sea');
+	});
+
+	it('should default enctype to "json"', () => {
+		expect(element.enctype).toBe('json');
+		element.enctype = 'form';
+		expect(element.getAttribute('enctype')).toBe('form');
+	});
+});
+
+describe('Local Data Source', () => {
+	let element;
+	let input;
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	async function createLocalElement(attributes = {}, children = '', items) {
+		({ element, input } = await createReadyElement(
+			attributes,
+			`<input type="text" />${children}`,
+			items ? { items } : {},
+		));
+	}
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('should filter items set from JavaScript', async () => {
+		element = document.createElement('dynamic-datalist');
+		element.items = ['Canada', 'Cameroon', 'Chile', 'Mexico'];
+		element.innerHTML = '<input type="text" />';
+		document.body.appendChild(element);
+		await new Promise((resolve) => {
+			element.addEventListener('dynamic-datalist:ready', resolve, {
+				once: true,
+			});
+		});
+		await new Promise(requestAnimationFrame);
+
+		const fetchSpy = vi.spyOn(global, 'fetch');
+		const updateHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:update', updateHandler);
+
+		await element.search('ca');
+
+		expect(values(element)).toEqual(['Canada', 'Cameroon']);
+		expect(updateHandler).toHaveBeenCalled();
+		expect(fetchSpy).not.toHaveBeenCalled();
+	});
+
+	it('should initialize when items are set after connection', async () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element = document.createElement('dynamic-datalist');
+		element.innerHTML = '<input type="text" />';
+		document.body.appendChild(element);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(warnSpy).toHaveBeenCalled();
+
+		const readyHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:ready', readyHandler);
+		element.items = ['Alpha'];
+
+		expect(readyHandler).toHaveBeenCalled();
+	});
+
+	it('should read items from an inline JSON script', async () => {
+		await createLocalElement(
+			{},
+			`<script type="application/json">
+				["Kilogram", "Kilometer", "Meter"]
+			</script>`,
+		);
+
+		await element.search('kil');
+
+		expect(values(element)).toEqual(['Kilogram', 'Kilometer']);
+	});
+
+	it('should fetch the src file only once', async () => {
+		const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({
+				options: [{ value: 'us', label: 'United States' }, 'Uruguay'],
+			}),
+		});
+		await createLocalElement({ src: '/countries.json' });
+
+		await element.search('u');
+		await element.search('un');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy).toHaveBeenCalledWith('/countries.json');
+		expect(values(element)).toEqual(['us']);
+	});
+
+	it('should emit an error if the src file fails to load', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		vi.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 404 });
+		await createLocalElement({ src: '/missing.json' });
+
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await element.search('u');
+
+		expect(errorHandler).toHaveBeenCalled();
+	});
+
+	it('should support substring and word-start matching', async () => {
+		await createLocalElement({ match: 'substring' }, '', [
+			'New York',
+			'York',
+			'Newark',
+		]);
+
+		await element.search('york');
+		expect(values(element)).toEqual(['New York', 'York']);
+
+		element.match = 'word-start';
+		await element.search('ark');
+		expect(values(element)).toEqual([]);
+		await element.search('yo');
+		expect(values(element)).toEqual(['New York', 'York']);
+	});
+
+	it('should limit results with max-results', async () => {
+		await createLocalElement({ 'max-results': '2' }, '', [
+			'a1',
+			'a2',
+			'a3',
+		]);
+
+		await element.search('a');
+
+		expect(values(element)).toEqual(['a1', 'a2']);
+		expect(element.maxResults).toBe(2);
+	});
+});
+
+describe('Providers', () => {
+	let element;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element } = await createReadyElement());
+	});
+
+	afterEach(() => {
+		element.remove();
+		DynamicDatalistElement.__providers.delete('fake');
+	});
+
+	it('should use the http provider by default', async () => {
+		const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: ['one'] }),
+		});
+
+		await element.search('o');
+
+		expect(fetchSpy).toHaveBeenCalled();
+		expect(element.__$datalist.children[0].value).toBe('one');
+	});
+
+	it('should use a provider function property', async () => {
+		const fetchSpy = vi.spyOn(global, 'fetch');
+		const provider = vi.fn(async (query) => [`${query}1`, `${query}2`]);
+		element.provider = provider;
+
+		const updateHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:update', updateHandler);
+
+		await element.search('a');
+
+		expect(fetchSpy).not.toHaveBeenCalled();
+		expect(provider).toHaveBeenCalledWith('a', {
+			signal: expect.any(AbortSignal),
+			element,
+		});
+		expect(updateHandler.mock.calls[0][0].detail.options).toEqual([
+			'a1',
+			'a2',
+		]);
+	});
+
+	it('should use a registered provider named by the attribute', async () => {
+		DynamicDatalistElement.registerProvider('fake', async () => [
+			{ value: 'x', label: 'X' },
+		]);
+		element.provider = 'fake';
+
+		await element.search('x');
+
+		expect(element.getAttribute('provider')).toBe('fake');
+		expect(element.__$datalist.children[0].textContent).toBe('X');
+	});
+
+	it('should emit an error for an unknown provider', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.setAttribute('provider', 'missing');
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await element.search('x');
+
+		expect(errorHandler.mock.calls[0][0].detail.error.message).toContain(
+			'"missing"',
+		);
+	});
+
+	it('should emit an error when a provider does not return an array', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.provider = async () => ({ results: [] });
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await element.search('x');
+
+		expect(errorHandler).toHaveBeenCalled();
+	});
+
+	it('should drop stale provider results', async () => {
+		const resolvers = {};
+		element.provider = (query) =>
+			new Promise((resolve) => {
+				resolvers[query] = resolve;
+			});
+
+		const first = element.search('a');
+		const second = element.search('ab');
+		resolvers.ab(['ab']);
+		await second;
+		resolvers.a(['a']);
+		await first;
+
+		expect(element.__$datalist.children[0].value).toBe('ab');
+	});
+
+	it('should warn when registering a non-function provider', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+		DynamicDatalistElement.registerProvider('fake', 'nope');
+
+		expect(warnSpy).toHaveBeenCalled();
+		expect(DynamicDatalistElement.__providers.has('fake')).toBe(false);
+	});
+
+	it('should initialize without an endpoint when a provider is set', async () => {
+		const providerElement = document.createElement('dynamic-datalist');
+		providerElement.provider = async () => [];
+		providerElement.innerHTML = '<input type="text" />';
+		const readyHandler = vi.fn();
+		providerElement.addEventListener(
+			'dynamic-datalist:ready',
+			readyHandler,
+		);
+		document.body.appendChild(providerElement);
+
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(readyHandler).toHaveBeenCalled();
+		providerElement.remove();
+	});
+});
+
+describe('Selection', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement());
+		element.__updateDatalist([
+			{ value: 'SEA', label: 'Seattle–Tacoma Intl', data: { id: 42 } },
+			'PDX',
+		]);
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function pick(value, type = 'input') {
+		input.value = value;
+		input.dispatchEvent(new Event(type, { bubbles: true }));
+	}
+
+	it('should fire select with the option and its data', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('SEA');
+
+		expect(selectHandler).toHaveBeenCalledTimes(1);
+		const { detail } = selectHandler.mock.calls[0][0];
+		expect(detail.value).toBe('SEA');
+		expect(detail.label).toBe('Seattle–Tacoma Intl');
+		expect(detail.data).toEqual({ id: 42 });
+		expect(detail.option).toBe(element.getOption('SEA'));
+		expect(detail.input).toBe(input);
+	});
+
+	it('should fire on change without a keyup (e.g. mouse picks)', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('PDX', 'change');
+
+		expect(selectHandler).toHaveBeenCalledTimes(1);
+		expect(selectHandler.mock.calls[0][0].detail.label).toBe('PDX');
+	});
+
+	it('should fire only once when input and change both fire', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('SEA');
+		input.dispatchEvent(new Event('change'));
+
+		expect(selectHandler).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not fire for free text', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('SE');
+		pick('Seattle');
+
+		expect(selectHandler).not.toHaveBeenCalled();
+	});
+
+	it('should fire again after the value is edited and re-picked', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('SEA');
+		pick('SE');
+		pick('SEA');
+
+		expect(selectHandler).toHaveBeenCalledTimes(2);
+	});
+
+	it('should fire for authored options', () => {
+		element.__$datalist.innerHTML = '<option value="NYC">New York</option>';
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('NYC');
+
+		expect(selectHandler.mock.calls[0][0].detail.label).toBe('New York');
+	});
+});
+
+describe('Strict Mode', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement({
+			endpoint: '/api/test',
+			strict: '',
+		}));
+		element.__updateDatalist(['Alice', 'Bob']);
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function type(value, eventType = 'input') {
+		input.value = value;
+		input.dispatchEvent(new Event(eventType));
+	}
+
+	it('should reflect strict attributes as properties', () => {
+		expect(element.strict).toBe(true);
+		expect(element.strictVerify).toBe(false);
+		expect(element.strictMessage).toBe(
+			'Please choose one of the suggested options.',
+		);
+		element.strictMessage = 'Pick a user';
+		expect(element.getAttribute('strict-message')).toBe('Pick a user');
+	});
+
+	it('should mark free text as invalid', () => {
+		type('Al');
+
+		expect(input.validity.customError).toBe(true);
+		expect(input.validationMessage).toBe(
+			'Please choose one of the suggested options.',
+		);
+	});
+
+	it('should accept suggested values and empty values', () => {
+		type('Al');
+		type('Alice');
+		expect(input.validity.customError).toBe(false);
+
+		type('Al');
+		type('');
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it('should accept previously fetched values', () => {
+		element.__updateDatalist(['Carol']);
+
+		type('Alice');
+
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it('should use a custom message', () => {
+		element.strictMessage = 'Pick a user';
+		type('Zed');
+
+		expect(input.validationMessage).toBe('Pick a user');
+	});
+
+	it('should revalidate when new options arrive', () => {
+		type('Carol');
+		expect(input.validity.customError).toBe(true);
+
+		element.__updateDatalist(['Carol']);
+
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it('should clear its validity message when strict is removed', () => {
+		type('Zed');
+		element.strict = false;
+
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it('should not touch validity messages set by the app', () => {
+		element.strict = false;
+		input.setCustomValidity('App error');
+		type('Alice');
+
+		expect(input.validationMessage).toBe('App error');
+	});
+
+	it('should verify unknown values against the provider on change', async () => {
+		element.strictVerify = true;
+		const provider = vi.fn(async (query) =>
+			query === 'Dave' ? [{ value: 'Dave' }] : [],
+		);
+		element.provider = provider;
+
+		type('Dave', 'change');
+		expect(input.validity.customError).toBe(true);
+		await element.__verifying.promise;
+
+		expect(provider).toHaveBeenCalledWith('Dave', expect.any(Object));
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it('should stay invalid when verification finds no match', async () => {
+		element.strictVerify = true;
+		element.provider = async () => ['Daveed'];
+
+		type('Dave', 'change');
+		await element.__verifying.promise;
+
+		expect(input.validity.customError).toBe(true);
+	});
+
+	it('should verify pre-filled values on initialization', async () => {
+		const prefilled = document.createElement('dynamic-datalist');
+		prefilled.setAttribute('strict', '');
+		prefilled.setAttribute('strict-verify', '');
+		prefilled.provider = async () => [{ value: 'u1', label: 'Alice' }];
+		prefilled.innerHTML = '<input type="text" value="u1" />';
+		document.body.appendChild(prefilled);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		expect(prefilled.querySelector('input').validity.customError).toBe(
+			false,
+		);
+		prefilled.remove();
+	});
+
+	it('should verify pre-filled values against the endpoint', async () => {
+		const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: ['Dave'] }),
+		});
+		const prefilled = document.createElement('dynamic-datalist');
+		prefilled.setAttribute('endpoint', '/api/people');
+		prefilled.setAttribute('strict', '');
+		prefilled.setAttribute('strict-verify', '');
+		prefilled.innerHTML = '<input type="text" value="Dave" />';
+		document.body.appendChild(prefilled);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(prefilled.querySelector('input').validity.customError).toBe(
+			false,
+		);
+		prefilled.remove();
+	});
+
+	it('should verify against the endpoint after a different query', async () => {
+		vi.spyOn(global, 'fetch').mockImplementation(async (url) => ({
+			ok: true,
+			json: async () => ({
+				options: String(url).includes('Dave') ? ['Dave'] : [],
+			}),
+		}));
+		element.strictVerify = true;
+		element.__latestQuery = 'Da';
+
+		type('Dave', 'change');
+		await element.__verifying.promise;
+
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it('should re-submit the form after verifying on invalid', async () => {
+		const form = document.createElement('form');
+		document.body.appendChild(form);
+		form.appendChild(element);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		element.strictVerify = true;
+		element.provider = async () => ['Dave'];
+		const requestSubmit = vi
+			.spyOn(form, 'requestSubmit')
+			.mockImplementation(() => {});
+
+		input.value = 'Dave';
+		element.__validateStrict();
+		input.dispatchEvent(new Event('invalid'));
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(requestSubmit).toHaveBeenCalled();
+		form.remove();
+	});
+
+	it('should re-submit with the button that submitted the form', async () => {
+		const form = document.createElement('form');
+		form.innerHTML = '<button name="action" value="save">Save</button>';
+		document.body.appendChild(form);
+		form.appendChild(element);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		element.strictVerify = true;
+		element.provider = async () => ['Dave'];
+		const requestSubmit = vi
+			.spyOn(form, 'requestSubmit')
+			.mockImplementation(() => {});
+		const button = form.querySelector('button');
+		// Stand in for the browser: the click's validation blocks submission
+		button.addEventListener('click', (e) => {
+			e.preventDefault();
+			input.dispatchEvent(new Event('invalid'));
+		});
+
+		input.value = 'Dave';
+		element.__validateStrict();
+		button.click();
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(requestSubmit).toHaveBeenCalledWith(button);
+		form.remove();
+	});
+
+	it('should not re-check a value that is invalid for other reasons', async () => {
+		const form = document.createElement('form');
+		document.body.appendChild(form);
+		form.appendChild(element);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		element.strictVerify = true;
+		element.provider = vi.fn(async () => []);
+		input.required = true;
+		const requestSubmit = vi.spyOn(form, 'requestSubmit');
+		const invalidHandler = vi.fn();
+		input.addEventListener('invalid', invalidHandler);
+
+		expect(form.checkValidity()).toBe(false);
+		await new Promise((resolve) => setTimeout(resolve, 20));
+
+		expect(invalidHandler).toHaveBeenCalledTimes(1);
+		expect(requestSubmit).not.toHaveBeenCalled();
+
+		// A known value that fails another constraint doesn't loop either
+		input.required = false;
+		input.pattern = '[0-9]+';
+		input.value = 'Alice';
+		invalidHandler.mockClear();
+		element.__validateStrict();
+
+		expect(form.checkValidity()).toBe(false);
+		await new Promise((resolve) => setTimeout(resolve, 20));
+
+		expect(invalidHandler).toHaveBeenCalledTimes(1);
+		expect(requestSubmit).not.toHaveBeenCalled();
+		form.remove();
+	});
+});
+
+describe('Hidden Value Field', () => {
+	let element;
+	let input;
+	let form;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		form = document.createElement('form');
+		document.body.appendChild(form);
+		element = document.createElement('dynamic-datalist');
+		element.setAttribute('endpoint', '/api/test');
+		element.setAttribute('value-name', 'airport_id');
+		input = document.createElement('input');
+		input.type = 'text';
+		input.name = 'airport';
+		element.appendChild(input);
+		form.appendChild(element);
+		await new Promise((resolve) => {
+			element.addEventListener('dynamic-datalist:ready', resolve, {
+				once: true,
+			});
+		});
+		await new Promise(requestAnimationFrame);
+		element.__updateDatalist([
+			{ value: 'SEA', label: 'Seattle–Tacoma Intl' },
+			{ value: 'PDX', label: 'Portland Intl' },
+		]);
+	});
+
+	afterEach(() => {
+		form.remove();
+	});
+
+	function pick(value) {
+		input.value = value;
+		input.dispatchEvent(new Event('input'));
+	}
+
+	function hidden() {
+		return element.querySelector('input[type="hidden"]');
+	}
+
+	it('should create a hidden field named by value-name', () => {
+		expect(hidden().name).toBe('airport_id');
+		expect(element.valueName).toBe('airport_id');
+		expect(element.__$input).toBe(input);
+	});
+
+	it('should use labels as the option values shown in the input', () => {
+		expect(element.__$datalist.options[0].value).toBe(
+			'Seattle–Tacoma Intl',
+		);
+	});
+
+	it('should write the picked option value to the hidden field', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		pick('Portland Intl');
+
+		expect(input.value).toBe('Portland Intl');
+		expect(hidden().value).toBe('PDX');
+		expect(selectHandler.mock.calls[0][0].detail.value).toBe('PDX');
+		expect(new FormData(form).get('airport_id')).toBe('PDX');
+	});
+
+	it('should clear the hidden field when the text is edited', () => {
+		pick('Portland Intl');
+		pick('Portland In');
+
+		expect(hidden().value).toBe('');
+	});
+
+	it('should use an existing hidden child input', async () => {
+		const other = document.createElement('dynamic-datalist');
+		other.setAttribute('endpoint', '/api/test');
+		other.innerHTML =
+			'<input type="hidden" name="user_id" value="7" /><input type="text" />';
+		document.body.appendChild(other);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(other.__$hidden).toBe(other.querySelector('[name="user_id"]'));
+		expect(other.__$input.type).toBe('text');
+		other.remove();
+	});
+
+	it('should leave other hidden fields alone when value-name is set', async () => {
+		const other = document.createElement('dynamic-datalist');
+		other.setAttribute('endpoint', '/api/test');
+		other.setAttribute('value-name', 'airport_id');
+		other.innerHTML =
+			'<input type="hidden" name="csrf" value="tok" /><input type="text" />';
+		form.appendChild(other);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		const data = new FormData(form);
+		expect(data.get('csrf')).toBe('tok');
+		expect(other.__$hidden.name).toBe('airport_id');
+		expect(other.__$hidden.value).toBe('');
+		other.remove();
+	});
+
+	it('should tell apart options that share a label', () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.__updateDatalist([
+			{ value: 'IL', label: 'Springfield' },
+			{ value: 'MA', label: 'Springfield' },
+			{ value: 'OR', label: 'Salem' },
+		]);
+
+		expect(
+			Array.from(element.__$datalist.options).map((o) => o.value),
+		).toEqual(['Springfield (IL)', 'Springfield (MA)', 'Salem']);
+		expect(warn).toHaveBeenCalledTimes(1);
+
+		pick('Springfield (MA)');
+		expect(hidden().value).toBe('MA');
+		pick('Springfield (IL)');
+		expect(hidden().value).toBe('IL');
+	});
+
+	it('should restore the hidden field on form reset', async () => {
+		pick('Portland Intl');
+
+		form.reset();
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(hidden().value).toBe('');
+	});
+
+	it('should reconcile the hidden field on pageshow', () => {
+		input.value = 'Seattle–Tacoma Intl';
+		window.dispatchEvent(new Event('pageshow'));
+		expect(hidden().value).toBe('SEA');
+
+		input.value = '';
+		window.dispatchEvent(new Event('pageshow'));
+		expect(hidden().value).toBe('');
+	});
+});
+
+describe('Form Association', () => {
+	let element;
+	let input;
+	let form;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		HTMLElement.prototype.attachInternals = function () {
+			return new FakeInternals(this);
+		};
+		form = document.createElement('form');
+		document.body.appendChild(form);
+		element = document.createElement('dynamic-datalist');
+		element.setAttribute('endpoint', '/api/test');
+		element.innerHTML = `
+			<input type="text" name="city" />
+			<datalist><option>Chicago</option></datalist>
+		`;
+		input = element.querySelector('input');
+		form.appendChild(element);
+		await new Promise((resolve) => {
+			element.addEventListener('dynamic-datalist:ready', resolve, {
+				once: true,
+			});
+		});
+		await new Promise(requestAnimationFrame);
+	});
+
+	afterEach(() => {
+		form.remove();
+		delete HTMLElement.prototype.attachInternals;
+	});
+
+	it('should be form-associated', () => {
+		expect(DynamicDatalistElement.formAssociated).toBe(true);
+		expect(element.form).toBe(form);
+		expect(element.willValidate).toBe(true);
+	});
+
+	it('should work without ElementInternals support', () => {
+		delete HTMLElement.prototype.attachInternals;
+		const plain = document.createElement('dynamic-datalist');
+
+		expect(plain.form).toBe(null);
+		expect(plain.checkValidity()).toBe(true);
+	});
+
+	it('should require a value when required is set', () => {
+		element.required = true;
+
+		expect(element.checkValidity()).toBe(false);
+		expect(element.validity.valueMissing).toBe(true);
+		expect(element.__internals.anchor).toBe(input);
+
+		input.value = 'Chicago';
+		input.dispatchEvent(new Event('input'));
+
+		expect(element.checkValidity()).toBe(true);
+	});
+
+	it('should mirror strict-mode validity from the input', () => {
+		element.strict = true;
+		input.value = 'Nowhere';
+		input.dispatchEvent(new Event('input'));
+
+		expect(element.validity.customError).toBe(true);
+		expect(element.validationMessage).toBe(element.strictMessage);
+
+		input.value = 'Chicago';
+		input.dispatchEvent(new Event('input'));
+
+		expect(element.checkValidity()).toBe(true);
+	});
+
+	it('should save the value and suggestions as form state', () => {
+		element.__updateDatalist(['Denver', 'Detroit']);
+		input.value = 'Denver';
+		input.dispatchEvent(new Event('input'));
+
+		const state = JSON.parse(element.__internals.state);
+		expect(element.__internals.value).toBe('Denver');
+		expect(state.value).toBe('Denver');
+		expect(state.records.map((record) => record.value)).toEqual([
+			'Denver',
+			'Detroit',
+		]);
+	});
+
+	it('should save form state when option data does not serialize', async () => {
+		const data = { id: 1n };
+		data.self = data;
+		element.provider = async () => [{ value: 'Denver', data }];
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await element.search('de');
+
+		expect(errorHandler).not.toHaveBeenCalled();
+		expect(element.state).toBe('loaded');
+		expect(JSON.parse(element.__internals.state).records).toEqual([
+			{ value: 'Denver', label: 'Denver' },
+		]);
+	});
+
+	it('should restore suggestions and selection from form state', () => {
+		element.formStateRestoreCallback(
+			JSON.stringify({
+				value: 'Denver',
+				hiddenValue: null,
+				records: [{ value: 'Denver', label: 'Denver' }],
+			}),
+		);
+
+		expect(input.value).toBe('Denver');
+		expect(element.__$datalist.options[0].value).toBe('Denver');
+		expect(element.__selectedValue).toBe('Denver');
+	});
+
+	it('should ignore unreadable form state', () => {
+		element.formStateRestoreCallback('not json');
+
+		expect(element.__$datalist.options[0].value).toBe('Chicago');
+	});
+
+	it('should restore the authored options on reset', () => {
+		element.__updateDatalist(['Denver', 'Detroit']);
+
+		element.formResetCallback();
+
+		expect(
+			Array.from(element.__$datalist.options).map((o) => o.value),
+		).toEqual(['Chicago']);
+	});
+});
+
+describe('Listbox Rendering', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement({
+			endpoint: '/api/test',
+			render: 'listbox',
+		}));
+		input.focus();
+		element.__updateDatalist([
+			{ value: 'SEA', label: 'Seattle–Tacoma Intl' },
+			'PDX',
+			'SFO',
+		]);
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function listbox() {
+		return element.querySelector('[role="listbox"]');
+	}
+
+	function options() {
+		return Array.from(listbox().querySelectorAll('[role="option"]'));
+	}
+
+	function press(key, init = {}) {
+		const event = new KeyboardEvent('keydown', {
+			key,
+			bubbles: true,
+			cancelable: true,
+			...init,
+		});
+		input.dispatchEvent(event);
+		return event;
+	}
+
+	it('should make the input a combobox controlling the listbox', () => {
+		expect(input.getAttribute('role')).toBe('combobox');
+		expect(input.getAttribute('aria-autocomplete')).toBe('list');
+		expect(input.getAttribute('aria-controls')).toBe(listbox().id);
+		expect(input.hasAttribute('list')).toBe(false);
+	});
+
+	it('should render the options and open while focused', () => {
+		expect(options().map((o) => o.textContent)).toEqual([
+			'Seattle–Tacoma Intl',
+			'PDX',
+			'SFO',
+		]);
+		expect(listbox().hidden).toBe(false);
+		expect(input.getAttribute('aria-expanded')).toBe('true');
+	});
+
+	it('should keep the datalist in sync for lookups', () => {
+		expect(element.__$datalist.options.length).toBe(3);
+		expect(element.getOption('SEA').label).toBe('Seattle–Tacoma Intl');
+	});
+
+	it('should move the active option with the arrow keys', () => {
+		press('ArrowDown');
+		expect(input.getAttribute('aria-activedescendant')).toBe(
+			options()[0].id,
+		);
+		expect(options()[0].getAttribute('aria-selected')).toBe('true');
+
+		press('ArrowUp');
+		expect(input.getAttribute('aria-activedescendant')).toBe(
+			options()[2].id,
+		);
+
+		press('ArrowDown');
+		expect(input.getAttribute('aria-activedescendant')).toBe(
+			options()[0].id,
+		);
+	});
+
+	it('should jump to the first and last options with Home and End', () => {
+		press('End');
+		expect(input.getAttribute('aria-activedescendant')).toBe(
+			options()[2].id,
+		);
+
+		press('Home');
+		expect(input.getAttribute('aria-activedescendant')).toBe(
+			options()[0].id,
+		);
+	});
+
+	it('should pick the active option with Enter', () => {
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		press('ArrowDown');
+		const event = press('Enter');
+
+		expect(event.defaultPrevented).toBe(true);
+		expect(input.value).toBe('SEA');
+		expect(listbox().hidden).toBe(true);
+		expect(selectHandler).toHaveBeenCalledTimes(1);
+		expect(selectHandler.mock.calls[0][0].detail.label).toBe(
+			'Seattle–Tacoma Intl',
+		);
+	});
+
+	it('should not intercept Enter without an active option', () => {
+		expect(press('Enter').defaultPrevented).toBe(false);
+	});
+
+	it('should close with Escape and reopen with ArrowDown', () => {
+		press('Escape');
+		expect(listbox().hidden).toBe(true);
+		expect(input.getAttribute('aria-expanded')).toBe('false');
+
+		press('ArrowDown');
+		expect(listbox().hidden).toBe(false);
+		expect(input.getAttribute('aria-activedescendant')).toBe(
+			options()[0].id,
+		);
+	});
+
+	it('should pick an option on click', () => {
+		options()[1].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+		expect(input.value).toBe('PDX');
+		expect(listbox().hidden).toBe(true);
+	});
+
+	it('should close when the input loses focus', () => {
+		input.blur();
+
+		expect(listbox().hidden).toBe(true);
+	});
+
+	it('should close when there are no options', () => {
+		element.__updateDatalist([]);
+
+		expect(options()).toHaveLength(0);
+		expect(listbox().hidden).toBe(true);
+	});
+
+	it('should restore the datalist when switching back', () => {
+		element.render = 'datalist';
+
+		expect(listbox()).toBeNull();
+		expect(input.hasAttribute('role')).toBe(false);
+		expect(input.getAttribute('list')).toBe(element.__$datalist.id);
+	});
+
+	it('should keep one unlinked datalist when reconnected', async () => {
+		const parent = element.parentNode;
+		element.remove();
+		parent.appendChild(element);
+		await new Promise(requestAnimationFrame);
+		await new Promise(requestAnimationFrame);
+
+		expect(element.querySelectorAll('datalist')).toHaveLength(1);
+		expect(element.querySelectorAll('[role="listbox"]')).toHaveLength(1);
+		expect(input.hasAttribute('list')).toBe(false);
+		expect(input.getAttribute('aria-controls')).toBe(listbox().id);
+	});
+
+	it('should relink the same datalist when reconnected', async () => {
+		const { element: other, input: otherInput } =
+			await createReadyElement();
+		const datalist = other.__$datalist;
+
+		other.remove();
+		document.body.appendChild(other);
+		await new Promise(requestAnimationFrame);
+
+		expect(other.querySelectorAll('datalist')).toHaveLength(1);
+		expect(other.__$datalist).toBe(datalist);
+		expect(otherInput.getAttribute('list')).toBe(datalist.id);
+		other.remove();
+	});
+
+	it('should leave the default datalist mode alone', async () => {
+		const { element: other, input: otherInput } =
+			await createReadyElement();
+
+		expect(other.querySelector('[role="listbox"]')).toBeNull();
+		expect(otherInput.hasAttribute('role')).toBe(false);
+		expect(otherInput.getAttribute('list')).toBe(other.__$datalist.id);
+		other.remove();
+	});
+});
+
+describe('Live Region', () => {
+	let element;
+	let input;
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function status() {
+		return element.querySelector('[role="status"]');
+	}
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('should add a polite, visually hidden live region', async () => {
+		({ element } = await createProviderElement(async () => []));
+
+		expect(status().getAttribute('aria-live')).toBe('polite');
+		expect(status().getAttribute('aria-atomic')).toBe('true');
+		expect(status().style.position).toBe('absolute');
+		expect(status().textContent).toBe('');
+	});
+
+	it('should announce searching while the provider runs', async () => {
+		let resolve;
+		({ element } = await createProviderElement(
+			() => new Promise((done) => (resolve = done)),
+		));
+
+		const pending = element.search('sea');
+		await Promise.resolve();
+		expect(status().textContent).toBe('Searching…');
+
+		resolve(['Seattle']);
+		await pending;
+		expect(status().textContent).toBe('1 suggestion available');
+	});
+
+	it('should announce the number of suggestions', async () => {
+		({ element, input } = await createProviderElement(async () => [
+			'A',
+			'B',
+			'C',
+		]));
+
+		await typeAndWait(input, 'x');
+
+		expect(status().textContent).toBe('3 suggestions available');
+	});
+
+	it('should announce when nothing matches', async () => {
+		({ element } = await createProviderElement(async () => []));
+
+		await element.search('zzz');
+
+		expect(status().textContent).toBe('No matches');
+	});
+
+	it('should announce errors', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		({ element } = await createProviderElement(async () => {
+			throw new Error('Offline');
+		}));
+
+		await element.search('sea');
+
+		expect(status().textContent).toBe('Suggestions could not be loaded');
+	});
+
+	it('should vary repeated messages so they are announced again', async () => {
+		({ element } = await createProviderElement(async () => []));
+
+		element.__announce('empty');
+		const first = status().textContent;
+		element.__announce('empty');
+
+		expect(status().textContent).not.toBe(first);
+		expect(status().textContent.trim()).toBe('No matches');
+	});
+
+	it('should use message attributes', async () => {
+		({ element } = await createProviderElement(async () => ['A', 'B'], {
+			endpoint: '/api/test',
+			'message-results': '{count} sugerencias para “{query}”',
+		}));
+
+		await element.search('a');
+
+		expect(status().textContent).toBe('2 sugerencias para “a”');
+	});
+
+	it('should prefer the messages property, including functions', async () => {
+		({ element } = await createProviderElement(
+			async () => {
+				throw new Error('Timeout');
+			},
+			{ endpoint: '/api/test', 'message-error': 'Ignored' },
+		));
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.messages = { error: ({ error }) => `Fehler: ${error}` };
+
+		await element.search('sea');
+
+		expect(status().textContent).toBe('Fehler: Timeout');
+	});
+
+	it('should clear the live region when the options are cleared', async () => {
+		({ element } = await createProviderElement(async () => ['A'], {
+			endpoint: '/api/test',
+			'clear-below-min': '',
+			'min-length': '2',
+		}));
+		await element.search('ab');
+
+		element.__clearOptions('a');
+
+		expect(status().textContent).toBe('');
+	});
+});
+
+describe('Request State', () => {
+	let element;
+	let input;
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	afterEach(() => {
+		element.remove();
+		delete HTMLElement.prototype.attachInternals;
+	});
+
+	it('should start idle', async () => {
+		({ element, input } = await createProviderElement(async () => []));
+
+		expect(element.state).toBe('idle');
+		expect(element.getAttribute('state')).toBe('idle');
+	});
+
+	it('should reflect loading and mark the input busy', async () => {
+		let resolve;
+		({ element, input } = await createProviderElement(
+			() => new Promise((done) => (resolve = done)),
+		));
+		const loadingHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:loading', loadingHandler);
+
+		const pending = element.search('sea');
+		await Promise.resolve();
+
+		expect(element.getAttribute('state')).toBe('loading');
+		expect(input.getAttribute('aria-busy')).toBe('true');
+		expect(loadingHandler).toHaveBeenCalledTimes(1);
+		expect(loadingHandler.mock.calls[0][0].detail.query).toBe('sea');
+
+		resolve(['Seattle']);
+		await pending;
+
+		expect(element.getAttribute('state')).toBe('loaded');
+		expect(input.hasAttribute('aria-busy')).toBe(false);
+	});
+
+	it('should reflect empty results and fire empty', async () => {
+		({ element, input } = await createProviderElement(async () => []));
+		const emptyHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:empty', emptyHandler);
+
+		await typeAndWait(input, 'zzz');
+
+		expect(element.state).toBe('empty');
+		expect(emptyHandler).toHaveBeenCalledTimes(1);
+		expect(emptyHandler.mock.calls[0][0].detail.query).toBe('zzz');
+	});
+
+	it('should reflect errors', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		({ element, input } = await createProviderElement(async () => {
+			throw new Error('Offline');
+		}));
+
+		await element.search('sea');
+
+		expect(element.state).toBe('error');
+		expect(input.hasAttribute('aria-busy')).toBe(false);
+	});
+
+	it('should return to idle when the options are cleared', async () => {
+		({ element, input } = await createProviderElement(async () => ['A'], {
+			endpoint: '/api/test',
+			'clear-below-min': '',
+			'min-length': '2',
+		}));
+		await typeAndWait(input, 'ab');
+		expect(element.state).toBe('loaded');
+
+		await typeAndWait(input, 'a');
+
+		expect(element.state).toBe('idle');
+	});
+
+	it('should set custom states through ElementInternals', async () => {
+		HTMLElement.prototype.attachInternals = function () {
+			return new FakeInternals(this);
+		};
+		({ element, input } = await createProviderElement(async () => ['A']));
+		const { states } = element.__internals;
+		expect(states.has('idle')).toBe(true);
+
+		await element.search('a');
+
+		expect(states.has('loaded')).toBe(true);
+		expect(states.has('idle')).toBe(false);
+		expect(states.has('loading')).toBe(false);
+	});
+
+	it('should fall back to dashed custom state names', async () => {
+		HTMLElement.prototype.attachInternals = function () {
+			const internals = new FakeInternals(this);
+			const states = new Set();
+			internals.states = {
+				add: (name) => {
+					if (!name.startsWith('--')) throw new DOMException();
+					states.add(name);
+				},
+				delete: (name) => {
+					if (!name.startsWith('--')) throw new DOMException();
+					states.delete(name);
+				},
+				has: (name) => states.has(name),
+			};
+			return internals;
+		};
+		({ element, input } = await createProviderElement(async () => []));
+
+		await element.search('a');
+
+		expect(element.__internals.states.has('--empty')).toBe(true);
+	});
+});
+
+describe('Retries', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement({
+			endpoint: '/api/test',
+			retries: '2',
+			'retry-delay': '0',
+		}));
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function ok(options) {
+		return { ok: true, json: async () => ({ options }) };
+	}
+
+	function status(code) {
+		return { ok: false, status: code, json: async () => ({}) };
+	}
+
+	it('should retry network errors', async () => {
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+			.mockResolvedValueOnce(ok(['Seattle']));
+
+		await typeAndWait(input, 'sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+		expect(values(element)).toEqual(['Seattle']);
+		expect(element.state).toBe('loaded');
+	});
+
+	it('should not retry errors that fetch() did not throw', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => {
+				throw new TypeError('Cannot read properties of undefined');
+			},
+		});
+
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(element.state).toBe('error');
+	});
+
+	it('should not retry custom providers unless they opt in', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const buggy = vi.fn(async () => {
+			throw new TypeError('undefined is not an object');
+		});
+		element.provider = buggy;
+
+		await element.search('sea');
+		expect(buggy).toHaveBeenCalledTimes(1);
+
+		const flaky = vi
+			.fn()
+			.mockRejectedValueOnce(
+				Object.assign(new Error('Busy'), { retryable: true }),
+			)
+			.mockResolvedValueOnce(['Seattle']);
+		element.provider = flaky;
+
+		await element.search('sea');
+		expect(flaky).toHaveBeenCalledTimes(2);
+		expect(values(element)).toEqual(['Seattle']);
+	});
+
+	it('should retry server errors for GET requests', async () => {
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockResolvedValueOnce(status(503))
+			.mockResolvedValueOnce(status(500))
+			.mockResolvedValueOnce(ok(['Seattle']));
+
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(3);
+		expect(values(element)).toEqual(['Seattle']);
+	});
+
+	it('should not retry client errors', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockResolvedValue(status(404));
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		const { detail } = errorHandler.mock.calls[0][0];
+		expect(detail.status).toBe(404);
+		expect(detail.attempt).toBe(1);
+		expect(detail.query).toBe('sea');
+	});
+
+	it('should not retry server errors for POST requests', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.method = 'post';
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockResolvedValue(status(503));
+
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should give up after the configured retries', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockResolvedValue(status(503));
+		const errorHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:error', errorHandler);
+
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(3);
+		expect(errorHandler).toHaveBeenCalledTimes(1);
+		expect(errorHandler.mock.calls[0][0].detail.attempt).toBe(3);
+		expect(errorHandler.mock.calls[0][0].detail.status).toBe(503);
+	});
+
+	it('should not retry by default', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		element.retries = null;
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockRejectedValue(new TypeError('Failed to fetch'));
+
+		await element.search('sea');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should stop retrying when a newer query is issued', async () => {
+		element.retryDelay = 50;
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+			.mockResolvedValue(ok(['Seattle']));
+
+		const first = element.search('sea');
+		await new Promise((resolve) => setTimeout(resolve));
+		await element.search('seat');
+		await first;
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+		expect(fetchSpy.mock.calls[1][0]).toContain('query=seat');
+	});
+
+	it('should back off exponentially with jitter', () => {
+		element.retryDelay = 100;
+		vi.spyOn(Math, 'random').mockReturnValue(1);
+
+		expect(element.__retryDelayFor(1)).toBe(100);
+		expect(element.__retryDelayFor(2)).toBe(200);
+		expect(element.__retryDelayFor(3)).toBe(400);
+
+		Math.random.mockReturnValue(0);
+		expect(element.__retryDelayFor(3)).toBe(200);
+	});
+
+	it('should pause while offline and resume when back online', async () => {
+		const onLine = vi.spyOn(navigator, 'onLine', 'get');
+		onLine.mockReturnValue(false);
+		const fetchSpy = vi
+			.spyOn(global, 'fetch')
+			.mockResolvedValue(ok(['Seattle']));
+
+		await element.search('sea');
+
+		expect(fetchSpy).not.toHaveBeenCalled();
+		expect(element.state).toBe('idle');
+
+		onLine.mockReturnValue(true);
+		window.dispatchEvent(new Event('online'));
+		await new Promise((resolve) => setTimeout(resolve));
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(values(element)).toEqual(['Seattle']);
+	});
+
+	it('should not resume a query that was superseded', async () => {
+		vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+		const fetchSpy = vi.spyOn(global, 'fetch');
+
+		await element.search('sea');
+		element.__clearOptions('');
+		window.dispatchEvent(new Event('online'));
+
+		expect(fetchSpy).not.toHaveBeenCalled();
+	});
+});
+
+describe('Merging Results', () => {
+	let element;
+	let input;
+	let results;
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	async function createMergeElement(attributes = {}) {
+		({ element, input } = await createReadyElement(
+			{ endpoint: '/api/test', ...attributes },
+			`<input type="text" />
+			<datalist><option>Home</option><option>Work</option></datalist>`,
+			{ provider: async (query) => results[query] || [] },
+		));
+	}
+
+	it('should replace authored options by default', async () => {
+		await createMergeElement();
+		results = { ho: ['Hotel', 'Hostel'] };
+
+		await element.search('ho');
+
+		expect(values(element)).toEqual(['Hotel', 'Hostel']);
+	});
+
+	it('should keep authored options before the results', async () => {
+		await createMergeElement({ merge: 'prepend-initial' });
+		results = { ho: ['Hotel', 'Home'] };
+
+		await typeAndWait(input, 'ho');
+
+		expect(values(element)).toEqual(['Home', 'Work', 'Hotel']);
+	});
+
+	it('should keep authored options after the results', async () => {
+		await createMergeElement({ merge: 'append-initial' });
+		results = { ho: ['Hotel', 'Home'] };
+
+		await element.search('ho');
+
+		expect(values(element)).toEqual(['Hotel', 'Home', 'Work']);
+	});
+
+	it('should accumulate results across queries', async () => {
+		await createMergeElement({ merge: 'accumulate' });
+		results = { ho: ['Hotel', 'Hostel'], hos: ['Hostel', 'Hospital'] };
+
+		await element.search('ho');
+		await element.search('hos');
+
+		expect(values(element)).toEqual([
+			'Hostel',
+			'Hospital',
+			'Hotel',
+			'Home',
+			'Work',
+		]);
+	});
+
+	it('should cap accumulated options', async () => {
+		await createMergeElement({ merge: 'accumulate', 'merge-limit': '3' });
+		results = { a: ['A1', 'A2'], b: ['B1', 'B2'] };
+
+		await element.search('a');
+		await element.search('b');
+
+		expect(values(element)).toEqual(['B1', 'B2', 'A1']);
+	});
+
+	it('should report state and counts for the results only', async () => {
+		await createMergeElement({ merge: 'prepend-initial' });
+		results = {};
+		const updateHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:update', updateHandler);
+
+		await element.search('zzz');
+
+		expect(values(element)).toEqual(['Home', 'Work']);
+		expect(element.state).toBe('empty');
+		const { detail } = updateHandler.mock.calls[0][0];
+		expect(detail.options).toEqual([]);
+		expect(detail.records.map((r) => r.value)).toEqual(['Home', 'Work']);
+	});
+
+	it('should show authored options when the input is emptied', async () => {
+		await createMergeElement();
+		results = { ho: ['Hotel'] };
+		await element.search('ho');
+
+		input.value = '';
+		input.dispatchEvent(new KeyboardEvent('keyup', { which: 8 }));
+
+		expect(values(element)).toEqual(['Home', 'Work']);
+	});
+
+	it('should leave options alone when emptied without authored options', async () => {
+		({ element, input } = await createReadyElement());
+		element.provider = async () => ['Hotel'];
+		await element.search('ho');
+
+		input.value = '';
+		input.dispatchEvent(new KeyboardEvent('keyup', { which: 8 }));
+
+		expect(values(element)).toEqual(['Hotel']);
+	});
+});
+
+describe('Option Diffing', () => {
+	let element;
+	let input;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement());
+		element.__updateDatalist(['Austin', 'Boston', 'Chicago']);
+	});
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	function options() {
+		return Array.from(element.__$datalist.options);
+	}
+
+	it('should keep unchanged option nodes', async () => {
+		const [austin, boston] = options();
+		austin.dataset.note = 'added by another script';
+		element.provider = async () => ['Austin', 'Boston', 'Denver'];
+
+		await typeAndWait(input, 'a');
+
+		expect(values(element)).toEqual(['Austin', 'Boston', 'Denver']);
+		expect(options()[0]).toBe(austin);
+		expect(options()[1]).toBe(boston);
+		expect(austin.dataset.note).toBe('added by another script');
+	});
+
+	it('should reorder moved options without recreating them', () => {
+		const [austin, boston, chicago] = options();
+
+		element.__updateDatalist(['Chicago', 'Austin', 'Boston']);
+
+		expect(options()).toEqual([chicago, austin, boston]);
+	});
+
+	it('should update changed labels in place', () => {
+		const [austin] = options();
+
+		element.__updateDatalist([
+			{ value: 'Austin', label: 'Austin, TX' },
+			'Boston',
+		]);
+
+		expect(options()[0]).toBe(austin);
+		expect(austin.textContent).toBe('Austin, TX');
+	});
+
+	it('should insert new options in batches', () => {
+		const insertSpy = vi.spyOn(element.__$datalist, 'insertBefore');
+
+		element.__updateDatalist([
+			'Albany',
+			'Atlanta',
+			'Austin',
+			'Boston',
+			'Chicago',
+			'Dallas',
+			'Denver',
+		]);
+
+		expect(values(element)).toEqual([
+			'Albany',
+			'Atlanta',
+			'Austin',
+			'Boston',
+			'Chicago',
+			'Dallas',
+			'Denver',
+		]);
+		expect(insertSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it('should report added and removed options in the update event', async () => {
+		element.provider = async () => ['Boston', 'Denver'];
+		const updateHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:update', updateHandler);
+
+		await element.search('x');
+
+		const { detail } = updateHandler.mock.calls[0][0];
+		expect(detail.added.map((r) => r.value)).toEqual(['Denver']);
+		expect(detail.removed.map((r) => r.value)).toEqual([
+			'Austin',
+			'Chicago',
+		]);
+	});
+
+	it('should drop duplicate option nodes', () => {
+		element.__$datalist.insertAdjacentHTML(
+			'beforeend',
+			'<option value="Austin">Austin</option>',
+		);
+
+		element.__updateDatalist(['Austin']);
+
+		expect(values(element)).toEqual(['Austin']);
+	});
+});
+
+describe('Input Events', () => {
+	let element;
+	let input;
+	let fetchSpy;
+
+	beforeEach(async () => {
+		vi.restoreAllMocks();
+		({ element, input } = await createReadyElement());
+		fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: ['one', 'two'] }),
+		});
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		element.remove();
+	});
+
+	function enter(value, init = {}) {
+		input.value = value;
+		input.dispatchEvent(
+			new InputEvent('input', { bubbles: true, ...init }),
+		);
+	}
+
+	it('should fetch on input without any key events (e.g. paste)', () => {
+		enter('pasted');
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=pasted');
+	});
+
+	it('should not fetch again on the keyup that follows an input', () => {
+		enter('abc');
+		input.dispatchEvent(new KeyboardEvent('keyup', { key: 'c' }));
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should still fetch on keyup when no input event fired', () => {
+		input.value = 'abc';
+		input.dispatchEvent(new KeyboardEvent('keyup', { key: 'c' }));
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should ignore navigation keys by key name', () => {
+		input.value = 'abc';
+		[
+			'ArrowDown',
+			'ArrowUp',
+			'Tab',
+			'Enter',
+			'Escape',
+			'Home',
+			'End',
+		].forEach((key) =>
+			input.dispatchEvent(new KeyboardEvent('keyup', { key })),
+		);
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy).not.toHaveBeenCalled();
+	});
+
+	it('should wait for IME composition to end', () => {
+		input.dispatchEvent(new CompositionEvent('compositionstart'));
+		enter('にほ', { isComposing: true });
+		enter('にほん', { isComposing: true });
+		vi.advanceTimersByTime(250);
+		expect(fetchSpy).not.toHaveBeenCalled();
+
+		input.value = '日本';
+		input.dispatchEvent(new CompositionEvent('compositionend'));
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy.mock.calls[0][0]).toBe(
+			`/api/test?query=${encodeURIComponent('日本')}`,
+		);
+	});
+
+	it('should search for a query on demand', async () => {
+		element.minLength = 5;
+
+		await element.search('ab');
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=ab');
+		expect(input.value).toBe('');
+		expect(element.__$datalist.options.length).toBe(2);
+	});
+
+	it('should refresh for a value set from JavaScript', async () => {
+		input.value = 'programmatic';
+
+		await element.refresh();
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=programmatic');
+	});
+
+	it('should cancel a pending debounced fetch when searching', async () => {
+		enter('abc');
+
+		await element.search('xyz');
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=xyz');
+	});
+});
+
+describe('Tokenize Mode', () => {
+	let element;
+	let field;
+	let fetchSpy;
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+			ok: true,
+			json: async () => ({ options: ['bob@x.com', 'bo@y.org'] }),
+		});
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		element.remove();
+	});
+
+	async function createTokenElement(markup, attributes = {}) {
+		({ element, input: field } = await createReadyElement(
+			{ endpoint: '/api/test', tokenize: '', ...attributes },
+			markup,
+		));
+		field.focus();
+	}
+
+	function type(value, caret = value.length) {
+		field.value = value;
+		field.setSelectionRange(caret, caret);
+		field.dispatchEvent(new InputEvent('input', { bubbles: true }));
+	}
+
+	function options() {
+		return Array.from(element.querySelectorAll('[role="option"]'));
+	}
+
+	it('should look up only the token being typed', async () => {
+		await createTokenElement('<input type="text" />');
+		vi.useFakeTimers();
+
+		type('alice@x.com, bo');
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=bo');
+	});
+
+	it('should look up the token under the caret', async () => {
+		await createTokenElement('<input type="text" />');
+		vi.useFakeTimers();
+
+		type('alice, bo, carol', 9);
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=bo');
+	});
+
+	it('should use a custom separator', async () => {
+		await createTokenElement('<input type="text" />', { separator: ';' });
+		vi.useFakeTimers();
+
+		type('alice, jr.; bo');
+		vi.advanceTimersByTime(250);
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=bo');
+	});
+
+	it('should use the listbox popup', async () => {
+		await createTokenElement('<input type="text" />');
+
+		expect(field.getAttribute('role')).toBe('combobox');
+		expect(element.querySelector('[role="listbox"]')).not.toBeNull();
+	});
+
+	it('should replace just the picked token', async () => {
+		await createTokenElement('<input type="text" />');
+		type('alice@x.com, bo');
+		await element.refresh();
+		const selectHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:select', selectHandler);
+
+		options()[0].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+		expect(field.value).toBe('alice@x.com, bob@x.com, ');
+		expect(field.selectionStart).toBe(field.value.length);
+		expect(selectHandler).toHaveBeenCalledTimes(1);
+		expect(selectHandler.mock.calls[0][0].detail.value).toBe('bob@x.com');
+	});
+
+	it('should replace a token in the middle of the value', async () => {
+		await createTokenElement('<input type="text" />');
+		type('alice, bo, carol', 9);
+		await element.refresh();
+
+		options()[1].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+		expect(field.value).toBe('alice, bo@y.org, carol');
+	});
+
+	it('should work with a wrapped textarea', async () => {
+		await createTokenElement('<textarea></textarea>');
+		type('alice@x.com, bo');
+		await element.refresh();
+
+		expect(element.__$input).toBe(field);
+		expect(field.hasAttribute('list')).toBe(false);
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=bo');
+
+		options()[0].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+		expect(field.value).toBe('alice@x.com, bob@x.com, ');
+	});
+
+	it('should leave arrow keys alone in a textarea while closed', async () => {
+		await createTokenElement('<textarea></textarea>');
+		type('bo');
+		await element.refresh();
+		field.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+		const event = new KeyboardEvent('keydown', {
+			key: 'ArrowDown',
+			cancelable: true,
+		});
+		field.dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(false);
+	});
+
+	it('should re-fetch only the current token when a field changes', async () => {
+		await createTokenElement(
+			'<input type="text" /><select name="team"><option>a</option></select>',
+			{ 'include-fields': 'team', 'refetch-on-change': '' },
+		);
+		type('alice@x.com, bo');
+		fetchSpy.mockClear();
+
+		element
+			.querySelector('select')
+			.dispatchEvent(new Event('change', { bubbles: true }));
+
+		expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?team=a&query=bo');
+	});
+
+	it('should verify each unknown token in strict-verify mode', async () => {
+		await createTokenElement('<input type="text" />', {
+			strict: '',
+			'strict-verify': '',
+		});
+		fetchSpy.mockImplementation(async (url) => ({
+			ok: true,
+			json: async () => ({
+				options: [new URL(url, 'http://x').searchParams.get('query')],
+			}),
+		}));
+
+		type('alice@x.com, bo@y.org');
+		field.dispatchEvent(new Event('change'));
+		await element.__verifying.promise;
+
+		const queries = fetchSpy.mock.calls.map(([url]) =>
+			new URL(url, 'http://x').searchParams.get('query'),
+		);
+		expect(queries).toEqual(
+			expect.arrayContaining(['alice@x.com', 'bo@y.org']),
+		);
+		expect(queries).not.toContain('alice@x.com, bo@y.org');
+		expect(field.validity.customError).toBe(false);
+	});
+
+	describe('in a contenteditable host', () => {
+		function edit(html, caret) {
+			field.innerHTML = html;
+			const walker = document.createTreeWalker(
+				field,
+				NodeFilter.SHOW_TEXT,
+			);
+			let offset = caret ?? field.textContent.length;
+			let node = walker.nextNode();
+			while (offset > node.length) {
+				offset -= node.length;
+				node = walker.nextNode();
+			}
+			const range = document.createRange();
+			range.setStart(node, offset);
+			range.collapse(true);
+			const selection = document.getSelection();
+			selection.removeAllRanges();
+			selection.addRange(range);
+			field.dispatchEvent(new InputEvent('input', { bubbles: true }));
+		}
+
+		it('should wrap it and use the listbox popup', async () => {
+			await createTokenElement('<div contenteditable="true"></div>');
+
+			expect(element.__$input).toBe(field);
+			expect(field.getAttribute('role')).toBe('combobox');
+			expect(field.hasAttribute('list')).toBe(false);
+		});
+
+		it('should look up the token under the caret', async () => {
+			await createTokenElement('<div contenteditable></div>');
+			vi.useFakeTimers();
+
+			edit('alice, bo, carol', 9);
+			vi.advanceTimersByTime(250);
+
+			expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=bo');
+		});
+
+		it('should read the caret across text nodes', async () => {
+			await createTokenElement('<div contenteditable></div>');
+			vi.useFakeTimers();
+
+			edit('<b>alice</b>, bo');
+			vi.advanceTimersByTime(250);
+
+			expect(fetchSpy.mock.calls[0][0]).toBe('/api/test?query=bo');
+		});
+
+		it('should replace just the picked token, keeping other markup', async () => {
+			await createTokenElement('<div contenteditable></div>');
+			edit('<b>alice@x.com</b>, bo');
+			await element.refresh();
+			const selectHandler = vi.fn();
+			element.addEventListener('dynamic-datalist:select', selectHandler);
+
+			options()[0].dispatchEvent(
+				new MouseEvent('click', { bubbles: true }),
+			);
+
+			expect(field.textContent).toBe('alice@x.com, bob@x.com, ');
+			expect(field.querySelector('b').textContent).toBe('alice@x.com');
+			expect(element.__caret()).toBe(field.textContent.length);
+			expect(selectHandler.mock.calls[0][0].detail.value).toBe(
+				'bob@x.com',
+			);
+		});
+
+		it('should replace a token in the middle of the text', async () => {
+			await createTokenElement('<div contenteditable></div>');
+			edit('alice, bo, carol', 9);
+			await element.refresh();
+
+			options()[1].dispatchEvent(
+				new MouseEvent('click', { bubbles: true }),
+			);
+
+			expect(field.textContent).toBe('alice, bo@y.org, carol');
+		});
+
+		it('should skip hosts that are not editable', async () => {
+			await createTokenElement(
+				'<div contenteditable="false"></div><input type="text" />',
+			);
+
+			expect(element.__$input.localName).toBe('input');
+		});
+	});
+
+	it('should validate each token in strict mode', async () => {
+		await createTokenElement('<input type="text" />', { strict: '' });
+		type('bo');
+		await element.refresh();
+
+		type('bob@x.com, bo@y.org');
+		expect(field.validity.customError).toBe(false);
+
+		type('bob@x.com, mallory');
+		expect(field.validity.customError).toBe(true);
+	});
+});
+
+describe('Multiple Mode', () => {
+	let element;
+	let input;
+	let form;
+	let results;
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	afterEach(() => {
+		form.remove();
+	});
+
+	async function createMultipleElement(attributes = {}) {
+		form = document.createElement('form');
+		document.body.appendChild(form);
+		({ element, input } = await createReadyElement(
+			{ endpoint: '/api/test', multiple: '', ...attributes },
+			'<input type="email" name="to" multiple />',
+			{ provider: async () => results },
+			form,
+		));
+		results = [
+			{ value: 'alice@x.com', label: 'Alice' },
+			{ value: 'bob@x.com', label: 'Bob' },
+		];
+		await element.search('a');
+	}
+
+	function pick(value, type = 'input') {
+		input.value = value;
+		input.dispatchEvent(new Event(type, { bubbles: true }));
+	}
+
+	function chips() {
+		return Array.from(element.querySelectorAll('.dynamic-datalist-chip'));
+	}
+
+	it('should turn a picked option into a chip', async () => {
+		await createMultipleElement();
+		const addHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:add', addHandler);
+
+		await typeAndWait(input, 'ali');
+		pick('alice@x.com');
+
+		expect(input.value).toBe('');
+		expect(chips()).toHaveLength(1);
+		expect(chips()[0].textContent).toContain('Alice');
+		expect(element.values).toEqual(['alice@x.com']);
+		expect(addHandler.mock.calls[0][0].detail.value).toBe('alice@x.com');
+		expect(addHandler.mock.calls[0][0].detail.label).toBe('Alice');
+	});
+
+	it('should put the chips before the input', async () => {
+		await createMultipleElement();
+
+		expect(input.previousElementSibling.className).toBe(
+			'dynamic-datalist-chips',
+		);
+	});
+
+	it('should leave chips out of the suggestions', async () => {
+		await createMultipleElement();
+
+		pick('alice@x.com');
+		expect(values(element)).toEqual(['bob@x.com']);
+
+		results = ['alice@x.com', 'carol@x.com'];
+		await element.search('c');
+		expect(values(element)).toEqual(['carol@x.com']);
+	});
+
+	it('should count only the suggestions left after chips', async () => {
+		await createMultipleElement();
+		pick('alice@x.com');
+		const emptyHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:empty', emptyHandler);
+
+		results = ['alice@x.com', 'bob@x.com'];
+		await element.search('x');
+		expect(element.__$status.textContent.trim()).toBe(
+			'1 suggestion available',
+		);
+		expect(element.state).toBe('loaded');
+
+		results = ['alice@x.com'];
+		await element.search('al');
+		expect(values(element)).toEqual([]);
+		expect(element.__$status.textContent.trim()).toBe('No matches');
+		expect(element.state).toBe('empty');
+		expect(emptyHandler).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not add the same value twice', async () => {
+		await createMultipleElement();
+		results = ['alice@x.com'];
+		await element.search('al');
+		pick('alice@x.com');
+		const addHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:add', addHandler);
+
+		element.__addValue({ value: 'alice@x.com', label: 'Alice' });
+
+		expect(chips()).toHaveLength(1);
+		expect(addHandler).not.toHaveBeenCalled();
+	});
+
+	it('should wait for change before adding typed text', async () => {
+		await createMultipleElement();
+
+		input.value = 'bob@x.com';
+		input.dispatchEvent(
+			new InputEvent('input', { bubbles: true, inputType: 'insertText' }),
+		);
+		expect(chips()).toHaveLength(0);
+
+		input.dispatchEvent(new Event('change', { bubbles: true }));
+		expect(element.values).toEqual(['bob@x.com']);
+	});
+
+	it('should remove chips with their button', async () => {
+		await createMultipleElement();
+		pick('alice@x.com');
+		const removeHandler = vi.fn();
+		element.addEventListener('dynamic-datalist:remove', removeHandler);
+
+		const button = chips()[0].querySelector('button');
+		expect(button.getAttribute('aria-label')).toBe('Remove Alice');
+		button.click();
+
+		expect(chips()).toHaveLength(0);
+		expect(element.values).toEqual([]);
+		expect(removeHandler.mock.calls[0][0].detail.value).toBe('alice@x.com');
+	});
+
+	it('should remove the last chip with Backspace in an empty input', async () => {
+		await createMultipleElement();
+		pick('alice@x.com');
+		pick('bob@x.com');
+
+		input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+
+		expect(element.values).toEqual(['alice@x.com']);
+	});
+
+	it('should submit chips as repeated fields', async () => {
+		await createMultipleElement();
+		pick('alice@x.com');
+		pick('bob@x.com');
+
+		const data = new FormData(form);
+
+		expect(data.getAll('to')).toEqual(['alice@x.com', 'bob@x.com']);
+		expect(input.hasAttribute('name')).toBe(false);
+	});
+
+	it('should submit chips as one joined field', async () => {
+		await createMultipleElement({ serialize: 'join' });
+		pick('alice@x.com');
+		pick('bob@x.com');
+
+		const data = new FormData(form);
+
+		expect(data.getAll('to')).toEqual(['alice@x.com,bob@x.com']);
+	});
+
+	it('should use value-name for the submitted fields', async () => {
+		await createMultipleElement({ 'value-name': 'recipient_ids' });
+		pick('alice@x.com');
+
+		const data = new FormData(form);
+
+		expect(data.getAll('recipient_ids')).toEqual(['alice@x.com']);
+		expect(input.name).toBe('to');
+	});
+
+	it('should clear the chips on reset', async () => {
+		await createMultipleElement();
+		pick('alice@x.com');
+
+		element.formResetCallback();
+
+		expect(chips()).toHaveLength(0);
+	});
+});
+
+describe('Grouped Options', () => {
+	let element;
+	let input;
+
+	const results = [
+		{ value: 'ada', label: 'Ada Lovelace', group: 'People' },
+		{ value: 'engine', label: 'Analytical Engine', group: 'Projects' },
+		{ value: 'notes', label: 'Notes on the Engine', group: 'Documents' },
+		{ value: 'alan', label: 'Alan Turing', group: 'People' },
+		{ value: 'bombe', label: 'Bombe', group: 'Projects' },
+	];
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	it('should keep options together by group, in order of appearance', async () => {
+		({ element, input } = await createProviderElement(async () => results, {
+			endpoint: '/api/test',
+			'group-by': 'group',
+		}));
+
+		await typeAndWait(input, 'a');
+
+		expect(values(element)).toEqual([
+			'ada',
+			'alan',
+			'engine',
+			'bombe',
+			'notes',
+		]);
+	});
+
+	it('should put groups listed in group-order first', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			'group-by': 'group',
+			'group-order': 'Documents, Projects',
+		}));
+		element.__updateDatalist(results);
+
+		expect(values(element)).toEqual([
+			'notes',
+			'engine',
+			'bombe',
+			'ada',
+			'alan',
+		]);
+	});
+
+	it('should cap each group at group-limit', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			'group-by': 'group',
+			'group-limit': '1',
+		}));
+		element.__updateDatalist(results);
+
+		expect(values(element)).toEqual(['ada', 'engine', 'notes']);
+	});
+
+	it('should announce only the options left after group-limit', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			'group-by': 'group',
+			'group-limit': '1',
+		}));
+		element.__showResults('a', results);
+
+		expect(element.__$status.textContent.trim()).toBe(
+			'3 suggestions available',
+		);
+	});
+
+	it('should resolve group-by as a dot path', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			'group-by': 'meta.type',
+		}));
+		element.__updateDatalist([
+			{ value: 'a', meta: { type: 'Y' } },
+			{ value: 'b', meta: { type: 'X' } },
+			{ value: 'c', meta: { type: 'Y' } },
+		]);
+
+		expect(values(element)).toEqual(['a', 'c', 'b']);
+	});
+
+	it('should hint at the group in the datalist option label', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			'group-by': 'group',
+		}));
+		element.__updateDatalist([...results, 'loose']);
+
+		const [ada] = element.__$datalist.options;
+		expect(ada.getAttribute('label')).toBe('Ada Lovelace — People');
+		expect(ada.textContent).toBe('Ada Lovelace');
+		expect(ada.dataset.group).toBe('People');
+
+		const loose = element.__$datalist.querySelector(
+			'option[value="loose"]',
+		);
+		expect(loose.hasAttribute('label')).toBe(false);
+	});
+
+	it('should drop the hint when an option loses its group', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			'group-by': 'group',
+		}));
+		element.__updateDatalist(results);
+		element.__updateDatalist([{ value: 'ada', label: 'Ada Lovelace' }]);
+
+		const [ada] = element.__$datalist.options;
+		expect(ada.hasAttribute('label')).toBe(false);
+		expect(ada.dataset.group).toBeUndefined();
+	});
+
+	it('should leave options ungrouped without group-by', async () => {
+		({ element } = await createReadyElement());
+		element.__updateDatalist(results);
+
+		expect(values(element)).toEqual([
+			'ada',
+			'engine',
+			'notes',
+			'alan',
+			'bombe',
+		]);
+		expect(element.__$datalist.options[0].hasAttribute('label')).toBe(
+			false,
+		);
+	});
+
+	it('should render labelled groups in the listbox', async () => {
+		({ element } = await createReadyElement({
+			endpoint: '/api/test',
+			render: 'listbox',
+			'group-by': 'group',
+		}));
+		element.__updateDatalist([...results, 'loose']);
+
+		const listbox = element.querySelector('[role="listbox"]');
+		const groups = Array.from(listbox.querySelectorAll('[role="group"]'));
+		expect(groups).toHaveLength(3);
+
+		const [people] = groups;
+		const heading = element.querySelector(
+			`#${people.getAttribute('aria-labelledby')}`,
+		);
+		expect(heading.textContent).toBe('People');
+		expect(heading.getAttribute('role')).toBe('presentation');
+		expect(
+			Array.from(people.querySelectorAll('[role="option"]')).map(
+				(o) => o.dataset.value,
+			),
+		).toEqual(['ada', 'alan']);
+
+		// Options without a group sit directly in the listbox
+		const loose = listbox.querySelector('[data-value="loose"]');
+		expect(loose.parentElement).toBe(listbox);
+	});
+
+	it('should move through options across groups with the arrow keys', async () => {
+		let input;
+		({ element, input } = await createReadyElement({
+			endpoint: '/api/test',
+			render: 'listbox',
+			'group-by': 'group',
+		}));
+		input.focus();
+		element.__updateDatalist(results);
+
+		['ArrowDown', 'ArrowDown', 'ArrowDown'].forEach((key) => {
+			input.dispatchEvent(
+				new KeyboardEvent('keydown', { key, bubbles: true }),
+			);
+		});
+
+		const active = element.querySelector(
+			`#${input.getAttribute('aria-activedescendant')}`,
+		);
+		expect(active.dataset.value).toBe('engine');
+	});
+});
+
+describe('Match Highlighting', () => {
+	function html(text, query) {
+		const div = document.createElement('div');
+		div.appendChild(DynamicDatalistElement.highlightMatches(text, query));
+		return div.innerHTML;
+	}
+
+	it('should mark every match, ignoring case', () => {
+		expect(html('Banana', 'an')).toBe('B<mark>an</mark><mark>an</mark>a');
+		expect(html('Seattle', 'SEA')).toBe('<mark>Sea</mark>ttle');
+	});
+
+	it('should treat the query literally', () => {
+		expect(html('C++ (old)', '+ (')).toBe('C+<mark>+ (</mark>old)');
+	});
+
+	it('should never parse the text as HTML', () => {
+		const div = document.createElement('div');
+		div.appendChild(
+			DynamicDatalistElement.highlightMatches(
+				'<img src=x onerror=alert(1)>',
+				'img',
+			),
+		);
+
+		expect(div.querySelector('img')).toBeNull();
+		expect(div.textContent).toBe('<img src=x onerror=alert(1)>');
+		expect(div.querySelector('mark').textContent).toBe('img');
+	});
+
+	it('should return the plain text without a query', () => {
+		expect(html('Seattle', '')).toBe('Seattle');
+	});
+});
+
+describe('Option Templates', () => {
+	let element;
+	let input;
+
+	afterEach(() => {
+		element.remove();
+	});
+
+	async function createTemplateElement(markup, attributes = {}) {
+		({ element, input } = await createReadyElement(
+			{ endpoint: '/api/test', ...attributes },
+			markup,
+		));
+	}
+
+	function options() {
+		return Array.from(element.querySelectorAll('[role="option"]'));
+	}
+
+	it('should highlight the query in listbox options', async () => {
+		await createTemplateElement('<input type="text" />', {
+			render: 'listbox',
+			highlight: '',
+		});
+		element.provider = async () => ['Seattle', 'Chelsea'];
+
+		await typeAndWait(input, 'sea');
+
+		expect(options().map((o) => o.innerHTML)).toEqual([
+			'<mark>Sea</mark>ttle',
+			'Chel<mark>sea</mark>',
+		]);
+		expect(options()[0].textContent).toBe('Seattle');
+	});
+
+	it('should not highlight without the highlight attribute', async () => {
+		await createTemplateElement('<input type="text" />', {
+			render: 'listbox',
+		});
+		element.__showResults('sea', ['Seattle']);
+
+		expect(options()[0].querySelector('mark')).toBeNull();
+	});
+
+	it('should use the listbox popup when highlighting', async () => {
+		await createTemplateElement('<input type="text" />', {
+			highlight: '',
+		});
+		element.__showResults('sea', ['Seattle']);
+
+		expect(element.querySelector('[role="listbox"]')).not.toBeNull();
+		expect(options()[0].innerHTML).toBe('<mark>Sea</mark>ttle');
+
+		element.highlight = false;
+		expect(element.querySelector('[role="listbox"]')).toBeNull();
+	});
+
+	it('should stamp a template child for each option', async () => {
+		await createTemplateElement(
+			`<input type="text" />
+			<template>
+				<img class="avatar" data-field-src="avatar" alt="" />
+				<span class="name" data-field="label"></span>
+				<small class="email" data-field="meta.email"></small>
+			</template>`,
+			{ highlight: '' },
+		);
+		element.provider = async () => [
+			{
+				value: 'ada',
+				label: 'Ada Lovelace',
+				avatar: '/ada.png',
+				meta: { email: 'ada@example.com' },
+			},
+			{ value: 'adele', label: 'Adele' },
+		];
+
+		await typeAndWait(input, 'ad');
+
+		const [ada, adele] = options();
+		expect(ada.querySelector('.avatar').getAttribute('src')).toBe(
+			'/ada.png',
+		);
+		expect(ada.querySelector('.name').innerHTML).toBe(
+			'<mark>Ad</mark>a Lovelace',
+		);
+		expect(ada.querySelector('.email').textContent).toBe('ada@example.com');
+		expect(adele.querySelector('.avatar').hasAttribute('src')).toBe(false);
+		expect(adele.querySelector('.email').hidden).toBe(true);
+	});
+
+	it('should use the listbox popup when there is a template', async () => {
+		await createTemplateElement(
+			'<input type="text" /><template><b data-field="label"></b></template>',
+		);
+
+		expect(element.querySelector('[role="listbox"]')).not.toBeNull();
+	});
+
+	it('should not let template fields inject markup or handlers', async () => {
+		await createTemplateElement(
+			`<input type="text" />
+			<template>
+				<a data-field-href="url" data-field-onclick="code" data-field="label"></a>
+			</template>`,
+		);
+		element.__showResults('', [
+			{
+				value: 'x',
+				label: '<img src=x onerror=alert(1)>',
+				url: 'javascript:alert(1)',
+				code: 'alert(1)',
+			},
+		]);
+
+		const link = options()[0].querySelector('a');
+		expect(link.querySelector('img')).toBeNull();
+		expect(link.textContent).toBe('<img src=x onerror=alert(1)>');
+		expect(link.hasAttribute('href')).toBe(false);
+		expect(link.hasAttribute('onclick')).toBe(false);
+	});
+
+	it.each([
+		['java\tscript:alert(1)'],
+		['java\nscript:alert(1)'],
+		['\x01javascript:alert(1)'],
+		[' JavaScript:alert(1)'],
+		['data:text/html,<script>alert(1)</script>'],
+		['vbscript:msgbox(1)'],
+	])('should refuse the script URL %j', async (url) => {
+		await createTemplateElement(
+			'<input type="text" /><template><a data-field-href="url">Open</a></template>',
+		);
+		element.__showResults('', [{ value: 'x', url }]);
+
+		expect(options()[0].querySelector('a').hasAttribute('href')).toBe(
+			false,
+		);
+	});
+
+	it('should allow web, mail and relative URLs', async () => {
+		await createTemplateElement(
+			`<input type="text" />
+			<template>
+				<a class="web" data-field-href="web">Web</a>
+				<a class="mail" data-field-href="mail">Mail</a>
+				<a class="page" data-field-href="page">Page</a>
+			</template>`,
+		);
+		element.__showResults('', [
+			{
+				value: 'x',
+				web: 'https://example.com/x',
+				mail: 'mailto:x@example.com',
+				page: '/people/x',
+			},
+		]);
+
+		const [option] = options();
+		expect(option.querySelector('.web').getAttribute('href')).toBe(
+			'https://example.com/x',
+		);
+		expect(option.querySelector('.mail').getAttribute('href')).toBe(
+			'mailto:x@example.com',
+		);
+		expect(option.querySelector('.page').getAttribute('href')).toBe(
+			'/people/x',
+		);
+	});
+
+	it('should allow inline images only as an image source', async () => {
+		const image = 'data:image/png;base64,iVBORw0KGgo=';
+		await createTemplateElement(
+			`<input type="text" />
+			<template>
+				<img data-field-src="image" alt="" />
+				<a data-field-href="image">Image</a>
+			</template>`,
+		);
+		element.__showResults('', [{ value: 'x', image }]);
+
+		const [option] = options();
+		expect(option.querySelector('img').getAttribute('src')).toBe(image);
+		expect(option.querySelector('a').hasAttribute('href')).toBe(false);
+	});
+
+	it('should refuse style, srcdoc and srcset fields', async () => {
+		await createTemplateElement(
+			`<input type="text" />
+			<template>
+				<iframe data-field-srcdoc="html"></iframe>
+				<img data-field-srcset="url" data-field-style="css" alt="" />
+			</template>`,
+		);
+		element.__showResults('', [
+			{
+				value: 'x',
+				html: '<script>alert(1)</script>',
+				url: 'javascript:alert(1) 1x',
+				css: 'position:fixed;inset:0',
+			},
+		]);
+
+		const [option] = options();
+		expect(option.querySelector('iframe').hasAttribute('srcdoc')).toBe(
+			false,
+		);
+		expect(option.querySelector('img').hasAttribute('srcset')).toBe(false);
+		expect(option.querySelector('img').hasAttribute('style')).toBe(false);
+	});
+
+	it('should build options with an optionTemplate function', async () => {
+		await createTemplateElement('<input type="text" />', {
+			highlight: '',
+		});
+		const optionTemplate = vi.fn((record, { highlight }) => {
+			const row = document.createElement('span');
+			row.className = 'row';
+			row.append(highlight(record.label), ` (${record.count})`);
+			return row;
+		});
+		element.optionTemplate = optionTemplate;
+		await new Promise(requestAnimationFrame);
+
+		element.__showResults('bo', [{ value: 'Boston', count: 3 }]);
+
+		expect(element.querySelector('[role="listbox"]')).not.toBeNull();
+		expect(optionTemplate).toHaveBeenCalledWith(
+			expect.objectContaining({ value: 'Boston' }),
+			expect.objectContaining({ query: 'bo' }),
+		);
+		expect(options()[0].querySelector('.row').innerHTML).toBe(
+			'<mark>Bo</mark>ston (3)',
+		);
+	});
+
+	it('should use a string from optionTemplate as text', async () => {
+		await createTemplateElement('<input type="text" />');
+		element.optionTemplate = (record) => `<b>${record.label}</b>`;
+		await new Promise(requestAnimationFrame);
+
+		element.__showResults('', ['Boston']);
+
+		expect(options()[0].querySelector('b')).toBeNull();
+		expect(options()[0].textContent).toBe('<b>Boston</b>');
+	});
+});